@@ -0,0 +1,36 @@
+/**
+ * Ground truth for the sessions in data/, shared by test_detection.js and
+ * train_model.js so the backtest and the trainer label the same shots.
+ *
+ * Labels come from:
+ *   - *_edited.json  shot idx values saved by the viewer
+ *   - voice_shot events, where the session has them
+ *   - *_walking.json  no real shots, so every detection is a false positive
+ *   - the recorded shots, where their count is the verified count in EXPECTED
+ */
+
+// ===== Expected shot counts (null = no ground truth, just report) =====
+const EXPECTED = {
+  'bball_1769745294389.json':        1,   // 1 shot, 12s session
+  'bball_1770076234585_edited.json': 1,   // 4 close-range rim shots, but 3 filtered by 2s min interval
+  // Old sessions — no verified ground truth yet
+  'bball_1769737698902.json':        null, // ~2 from live mode, batch may differ
+  'bball_1769744242117.json':        null, // ~19 from live mode, batch may differ
+  // New sessions — walking/shorts testing
+  'bball_1770085857529_5shots.json': null, // ~5 real shots (no voice labels for ground truth)
+  'bball_1770086069894_walking.json': null, // pure walking, 0 real shots, 5 FPs from extreme walking spikes (2 with cadenceFilter)
+};
+
+// Labeled shots for a data file (null = unlabeled)
+function groundTruthFor(file, data, DetectionEval) {
+  if (file.endsWith('_walking.json')) return [];
+  const labeled = DetectionEval.groundTruth(data);
+  if (labeled) return labeled;
+  const shots = (data.shots || []).filter(s => s.idx >= 0 && s.idx < data.imu.length);
+  if (typeof EXPECTED[file] === 'number' && shots.length === EXPECTED[file]) {
+    return shots.map(s => ({ t: DetectionEval.sampleTime(data.imu, s.idx), idx: s.idx, source: 'recorded' }));
+  }
+  return null;
+}
+
+module.exports = { EXPECTED, groundTruthFor };
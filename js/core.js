@@ -31,6 +31,22 @@ const ZONE_COLORS = {
 
 const ALL_ZONES = Object.keys(ZONE_COLORS);
 
+// A representative court position (meters from the rim) inside each zone,
+// used when a zone is picked from a list rather than tapped on the court
+const ZONE_CENTERS = {
+  'RIM':        { x: 0,    y: 0.8 },
+  'PAINT':      { x: 0,    y: 2.2 },
+  'SHORT':      { x: 0,    y: 3.5 },
+  'FT-LINE':    { x: 0,    y: 4.6 },
+  'L-BASE':     { x: -4.5, y: 2.0 },
+  'R-BASE':     { x: 4.5,  y: 2.0 },
+  'L-WING 3':   { x: -6.2, y: 5.0 },
+  'R-WING 3':   { x: 6.2,  y: 5.0 },
+  'L-CORNER 3': { x: -7.0, y: 0.8 },
+  'R-CORNER 3': { x: 7.0,  y: 0.8 },
+  'TOP 3':      { x: 0,    y: 8.0 },
+};
+
 function classifyZone(x, y) {
   const dist = Math.sqrt(x * x + y * y);
   const angle = Math.atan2(x, y) * (180 / Math.PI); // 0=straight, neg=left, pos=right
@@ -65,6 +81,45 @@ function zoneColor(zone) {
 }
 
 
+// ===== Shot Outcomes =====
+const SHOT_OUTCOMES = ['make', 'miss', 'unknown'];
+
+// Field-goal stats for a list of shots, overall, per zone and per shot type.
+// Unknown outcomes still count as attempts but are left out of FG%,
+// so untagged shots don't drag the percentage down.
+function shootingStats(shots) {
+  const blank = () => ({ attempts: 0, makes: 0, misses: 0, pct: null });
+  const total = blank();
+  const zones = {};
+  const types = {};
+
+  for (const shot of shots) {
+    const zone = shot.zone || 'Unknown';
+    const type = shot.shotType || 'unknown';
+    if (!zones[zone]) zones[zone] = blank();
+    if (!types[type]) types[type] = blank();
+    for (const stat of [total, zones[zone], types[type]]) {
+      stat.attempts++;
+      if (shot.outcome === 'make') stat.makes++;
+      else if (shot.outcome === 'miss') stat.misses++;
+    }
+  }
+
+  for (const stat of [total, ...Object.values(zones), ...Object.values(types)]) {
+    const decided = stat.makes + stat.misses;
+    stat.pct = decided > 0 ? stat.makes / decided : null;
+  }
+
+  return { total, zones, types };
+}
+
+// "3/5 60%" — or "--" when no shot has a known outcome yet
+function formatFG(stat) {
+  if (!stat || stat.pct === null) return '--';
+  return `${stat.makes}/${stat.makes + stat.misses} ${Math.round(stat.pct * 100)}%`;
+}
+
+
 // ===== IMU Buffer =====
 class IMUBuffer {
   constructor(maxSize = 3000, shiftSize = 1000) {
@@ -104,6 +159,124 @@ class IMUBuffer {
 }
 
 
+// ===== Cadence Estimator =====
+// Step rhythm from the autocorrelation of aMag over the last few seconds.
+// A phone in a pocket often feels one leg's strike much harder than the
+// other's, so the strongest period can be a full stride: periods longer
+// than CADENCE_STRIDE_MS count as two steps.
+const CADENCE_WINDOW_MS = 3000;
+const CADENCE_MIN_PERIOD_MS = 250;
+const CADENCE_MAX_PERIOD_MS = 1300;
+const CADENCE_STRIDE_MS = 750;
+const CADENCE_MIN_CORR = 0.3;   // weaker periodicity isn't a rhythm
+const CADENCE_UPDATE_MS = 500;
+
+class CadenceEstimator {
+  constructor(windowMs = CADENCE_WINDOW_MS) {
+    this.windowMs = windowMs;
+    this.reset();
+  }
+
+  // Streaming: feed every sample, re-estimates every CADENCE_UPDATE_MS
+  processSample(aMag, t) {
+    this.values.push(aMag);
+    this.times.push(t);
+    let drop = 0;
+    while (drop < this.times.length && t - this.times[drop] > this.windowMs) drop++;
+    if (drop > 0) {
+      this.values.splice(0, drop);
+      this.times.splice(0, drop);
+    }
+    if (t - this.lastUpdate >= CADENCE_UPDATE_MS) {
+      this.lastUpdate = t;
+      this.estimate = CadenceEstimator.estimate(this.values, this.times);
+    }
+    return this.estimate;
+  }
+
+  // Steps per minute, or null when there is no clear rhythm
+  get stepsPerMin() {
+    return this.estimate && this.estimate.corr >= CADENCE_MIN_CORR ? this.estimate.stepsPerMin : null;
+  }
+
+  reset() {
+    this.values = [];
+    this.times = [];
+    this.lastUpdate = 0;
+    this.estimate = null;
+  }
+
+  // → { periodMs, stepsPerMin, corr, lastBeatIdx } or null if the window is
+  // too short. periodMs is the repeating period itself (step or stride);
+  // lastBeatIdx is the strongest sample of the final period, to phase against.
+  static estimate(values, times) {
+    const n = values.length;
+    if (n < 20 || times[n - 1] <= times[0]) return null;
+    const intervalMs = (times[n - 1] - times[0]) / (n - 1);
+    const minLag = Math.max(1, Math.round(CADENCE_MIN_PERIOD_MS / intervalMs));
+    const maxLag = Math.min(Math.floor(n / 2), Math.round(CADENCE_MAX_PERIOD_MS / intervalMs));
+    if (maxLag <= minLag + 1) return null;
+
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    let variance = 0;
+    for (const v of values) variance += (v - mean) ** 2;
+    if (variance === 0) return null;
+
+    // Normalized autocorrelation for lags minLag-1 .. maxLag+1
+    const r = [];
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+      let sum = 0;
+      for (let i = 0; i + lag < n; i++) sum += (values[i] - mean) * (values[i + lag] - mean);
+      r[lag] = sum / variance;
+    }
+
+    // Strongest local max, then the shortest lag nearly as strong — so a
+    // step rhythm isn't read as its own stride
+    const isPeak = (lag) => r[lag] >= r[lag - 1] && r[lag] >= r[lag + 1];
+    let best = -1;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      if (isPeak(lag) && (best < 0 || r[lag] > r[best])) best = lag;
+    }
+    if (best < 0) return null;
+    let lag = best;
+    for (let l = minLag; l < best; l++) {
+      if (isPeak(l) && r[l] >= 0.8 * r[best]) { lag = l; break; }
+    }
+
+    let lastBeatIdx = n - lag;
+    for (let i = n - lag; i < n; i++) {
+      if (values[i] > values[lastBeatIdx]) lastBeatIdx = i;
+    }
+
+    const periodMs = lag * intervalMs;
+    const stepMs = periodMs > CADENCE_STRIDE_MS ? periodMs / 2 : periodMs;
+    return { periodMs, stepMs, stepsPerMin: 60000 / stepMs, corr: r[lag], lastBeatIdx };
+  }
+
+  // Rhythm over the windowMs before values[peakIdx] (stopping a few samples
+  // short so a shot's own gather doesn't count), plus the peak's phase
+  // against it. timeAt(j) gives sample j's time.
+  static atPeak(values, timeAt, peakIdx, windowMs = CADENCE_WINDOW_MS) {
+    const end = peakIdx - 5;
+    if (end < 20) return null;
+    let start = end - 1;
+    while (start > 0 && timeAt(end - 1) - timeAt(start - 1) <= windowMs) start--;
+    const times = [];
+    for (let j = start; j < end; j++) times.push(timeAt(j));
+    const est = CadenceEstimator.estimate(values.slice(start, end), times);
+    if (!est) return null;
+    return { ...est, phase: CadenceEstimator.phase(est, times[est.lastBeatIdx], timeAt(peakIdx)) };
+  }
+
+  // Distance of time t from the nearest step, as a fraction of the step
+  // period (0-0.5). Half a stride after the strong strike is the other foot.
+  static phase(estimate, lastBeatTime, t) {
+    const p = (((t - lastBeatTime) / estimate.stepMs) % 1 + 1) % 1;
+    return Math.min(p, 1 - p);
+  }
+}
+
+
 // ===== Movement Detector =====
 const MOVEMENT_WINDOW = 20;
 const MOVEMENT_THRESHOLD = 0.8;
@@ -115,9 +288,16 @@ class MovementDetector {
     this.isMoving = false;
     this.lastTransitionTime = 0;
     this.intensity = 0;
+    this.cadence = new CadenceEstimator();
+  }
+
+  // Step cadence while moving, for the movement bar (null when still or arrhythmic)
+  get stepsPerMin() {
+    return this.isMoving ? this.cadence.stepsPerMin : null;
   }
 
   processSample(aMag, t) {
+    this.cadence.processSample(aMag, t);
     this.window.push(aMag);
     if (this.window.length > MOVEMENT_WINDOW) {
       this.window.shift();
@@ -157,237 +337,842 @@ class MovementDetector {
     this.isMoving = false;
     this.lastTransitionTime = 0;
     this.intensity = 0;
+    this.cadence.reset();
+  }
+}
+
+
+// ===== Gravity Estimator =====
+// Tracks the gravity vector in phone coordinates with a low-pass filter on
+// accelerationIncludingGravity, and splits each sample's linear acceleration
+// into a vertical part (along gravity, + = up) and a horizontal magnitude.
+// aMag can't tell a jump from a foot strike; aVert shows the jump's takeoff
+// push, freefall (≈ -g) and landing, whatever the phone's orientation.
+const STANDARD_GRAVITY = 9.81;
+const GRAVITY_TIME_CONSTANT_MS = 1000; // long enough to ride through a shot's ~1s of motion
+
+class GravityEstimator {
+  constructor(timeConstantMs = GRAVITY_TIME_CONSTANT_MS) {
+    this.timeConstantMs = timeConstantMs;
+    this.reset();
+  }
+
+  // Update with one sample; writes aVert/aHoriz onto the sample and returns it
+  processSample(sample) {
+    const ax = sample.ax || 0, ay = sample.ay || 0, az = sample.az || 0;
+    const t = sample.t || sample.tRel || 0;
+
+    if (!this.g) {
+      this.g = { x: ax, y: ay, z: az };
+    } else {
+      // Clamp dt so a stall in delivery doesn't snap the estimate to one sample
+      const dt = Math.min(200, Math.max(1, t - this.lastT));
+      const alpha = dt / (this.timeConstantMs + dt);
+      this.g.x += alpha * (ax - this.g.x);
+      this.g.y += alpha * (ay - this.g.y);
+      this.g.z += alpha * (az - this.g.z);
+    }
+    this.lastT = t;
+
+    const gMag = Math.sqrt(this.g.x ** 2 + this.g.y ** 2 + this.g.z ** 2) || STANDARD_GRAVITY;
+    const ux = this.g.x / gMag, uy = this.g.y / gMag, uz = this.g.z / gMag;
+    const along = ax * ux + ay * uy + az * uz;
+    const hx = ax - along * ux, hy = ay - along * uy, hz = az - along * uz;
+
+    sample.aVert = along - gMag;
+    sample.aHoriz = Math.sqrt(hx * hx + hy * hy + hz * hz);
+    return sample;
+  }
+
+  reset() {
+    this.g = null;
+    this.lastT = 0;
+  }
+
+  // Batch: annotate a whole recording in place
+  static annotate(imuData, timeConstantMs) {
+    const est = new GravityEstimator(timeConstantMs);
+    for (const s of imuData) est.processSample(s);
+    return imuData;
+  }
+
+  // The recording itself if it already carries aVert, else an annotated copy
+  static annotated(imuData, timeConstantMs) {
+    if (!imuData.length || imuData[0].aVert !== undefined) return imuData;
+    return GravityEstimator.annotate(imuData.map(s => ({ ...s })), timeConstantMs);
+  }
+}
+
+
+// ===== Sample Rate =====
+// Phones deliver devicemotion at anything from 30 to 100 Hz, so detector
+// windows are configured in ms and turned into sample counts at the rate
+// measured from the stream's own timestamps.
+const LEGACY_SAMPLE_MS = 17;     // ~60 Hz, the rate the old sample-count windows assumed
+const RATE_WARMUP_SAMPLES = 50;  // samples measured before the detector fixes its rate
+const RATE_DRIFT_SLACK = 1.25;   // ms spans the detector keeps samples for, stretched in case the rate rises after warm-up
+// A longer silence between samples is a sensor gap: the page was hidden or
+// the browser throttled devicemotion, and the data on either side is not contiguous
+const SENSOR_GAP_MS = 500;
+
+// Old sample-count config keys → their ms replacements
+const LEGACY_WINDOW_KEYS = {
+  baselineWindow: 'baselineWindowMs',
+  baselineOffset: 'baselineOffsetMs',
+  dipSearchWindow: 'dipSearchMs',
+  recoverySearchWindow: 'recoverySearchMs',
+  minShotSamples: 'minShotGapMs',
+};
+
+// Fields interpolated when resampling; the rest come from the nearer sample
+const RESAMPLE_FIELDS = ['ax', 'ay', 'az', 'aMag', 'gx', 'gy', 'gz', 'aVert', 'aHoriz', 'tRel'];
+
+class SampleRate {
+  // Median interval between timestamps over the first `limit` samples, or
+  // null without usable timestamps
+  static intervalMs(samples, limit = RATE_WARMUP_SAMPLES) {
+    const n = Math.min(samples.length, limit);
+    const dts = [];
+    for (let j = 1; j < n; j++) {
+      const dt = (samples[j].t || samples[j].tRel || 0) - (samples[j - 1].t || samples[j - 1].tRel || 0);
+      if (dt > 0) dts.push(dt);
+    }
+    return dts.length ? median(dts) : null;
+  }
+
+  // A window in ms as a sample count (at least 1) at sampleMs per sample
+  static count(ms, sampleMs) {
+    return Math.max(1, Math.round(ms / sampleMs));
+  }
+
+  // Detector windows as sample counts at sampleMs per sample
+  static windows(config, sampleMs) {
+    const count = (ms) => SampleRate.count(ms, sampleMs);
+    return {
+      sampleMs,
+      baselineWindow: count(config.baselineWindowMs),
+      baselineOffset: count(config.baselineOffsetMs),
+      dipSearchWindow: count(config.dipSearchMs),
+      recoverySearchWindow: count(config.recoverySearchMs),
+      minShotSamples: count(config.minShotGapMs),
+    };
+  }
+
+  // Windows for a whole recording, at the rate the detector would measure
+  static windowsFor(imuData, config = DETECTOR_DEFAULTS) {
+    return SampleRate.windows(config, SampleRate.intervalMs(imuData) || LEGACY_SAMPLE_MS);
+  }
+
+  // Batch: a recording resampled to hz (see IMUResampler)
+  static resample(imuData, hz, gapMs) {
+    const resampler = new IMUResampler(hz, gapMs);
+    return imuData.flatMap(s => resampler.push(s));
+  }
+
+  // Sensor gaps in a recording: [{ idx, startT, endT, durationMs }], idx
+  // being the first sample after the gap
+  static findGaps(imuData, gapMs = SENSOR_GAP_MS) {
+    const gaps = [];
+    for (let j = 1; j < imuData.length; j++) {
+      const startT = imuData[j - 1].t || imuData[j - 1].tRel || 0;
+      const endT = imuData[j].t || imuData[j].tRel || 0;
+      if (endT - startT > gapMs) gaps.push({ idx: j, startT, endT, durationMs: endT - startT });
+    }
+    return gaps;
+  }
+}
+
+// Streaming linear-interpolation resampler to a fixed rate. Each output
+// sample carries srcIdx, the index of the input sample nearest in time, so
+// detections map back onto the recording. Sensor gaps aren't bridged: the
+// grid restarts at the first sample after one.
+class IMUResampler {
+  constructor(hz, gapMs = SENSOR_GAP_MS) {
+    this.stepMs = 1000 / hz;
+    this.gapMs = gapMs;
+    this.reset();
+  }
+
+  // Feed one input sample; returns the output samples now due (often 0 or 1)
+  push(sample) {
+    const idx = this.count++;
+    const t = sample.t || sample.tRel || 0;
+    const out = [];
+    if (!this.prev || t - this.prevT > this.gapMs) {
+      out.push({ ...sample, srcIdx: idx });
+      this.nextT = t + this.stepMs;
+    } else if (t > this.prevT) {
+      while (this.nextT <= t) {
+        const f = (this.nextT - this.prevT) / (t - this.prevT);
+        const near = f < 0.5 ? this.prev : sample;
+        const s = { ...near, t: sample.t ? this.nextT : near.t, srcIdx: f < 0.5 ? this.prevIdx : idx };
+        for (const key of RESAMPLE_FIELDS) {
+          if (typeof this.prev[key] === 'number' && typeof sample[key] === 'number') {
+            s[key] = this.prev[key] + (sample[key] - this.prev[key]) * f;
+          }
+        }
+        out.push(s);
+        this.nextT += this.stepMs;
+      }
+    } else {
+      return out; // timestamp didn't advance — nothing to interpolate against
+    }
+    this.prev = sample;
+    this.prevIdx = idx;
+    this.prevT = t;
+    return out;
+  }
+
+  reset() {
+    this.prev = null;
+    this.prevIdx = -1;
+    this.prevT = 0;
+    this.nextT = 0;
+    this.count = 0;
+  }
+}
+
+
+// ===== Jump Metrics =====
+// The near-zero dip after a shot's takeoff peak is the freefall of the jump.
+// Its length is the airtime T, and ballistic flight gives height h = g·T²/8.
+const FREEFALL_THRESHOLD = 4.0; // m/s² — below ~0.4 g counts as flight
+const MIN_AIRTIME_MS = 60;      // shorter dips are sensor jolts, not a jump
+
+// Airtime (ms) and jump height (m) from the run of sub-threshold samples
+// around dipIdx, limited to [startIdx, endIdx]. timeAt(i) gives sample i's time.
+function estimateJump(values, timeAt, dipIdx, startIdx, endIdx, threshold = FREEFALL_THRESHOLD) {
+  if (!(values[dipIdx] < threshold)) return { airtimeMs: 0, jumpHeight: 0 };
+
+  let a = dipIdx;
+  while (a > startIdx && values[a - 1] < threshold) a--;
+  let b = dipIdx;
+  while (b < endIdx && values[b + 1] < threshold) b++;
+
+  // Interpolate the threshold crossing between an in-flight sample and its
+  // neighbour outside, for sub-sample timing
+  const crossing = (inside, outside) => {
+    if (outside < startIdx || outside > endIdx) return timeAt(inside);
+    const f = (threshold - values[inside]) / (values[outside] - values[inside]);
+    return timeAt(inside) + f * (timeAt(outside) - timeAt(inside));
+  };
+  const airtimeMs = Math.max(0, crossing(b, b + 1) - crossing(a, a - 1));
+  if (airtimeMs < MIN_AIRTIME_MS) return { airtimeMs: 0, jumpHeight: 0 };
+  const T = airtimeMs / 1000;
+  return { airtimeMs, jumpHeight: STANDARD_GRAVITY * T * T / 8 };
+}
+
+// Dip and recovery for a shot known only by its peak index (loaded or
+// hand-added shots), found the way the detector does: the lowest sample
+// after the peak, then the highest after the dip. Null if the recording ends.
+// windows: sample counts from SampleRate.windowsFor().
+function dipAndRecoveryAt(values, peakIdx, windows) {
+  const dipEnd = Math.min(values.length, peakIdx + windows.dipSearchWindow);
+  if (peakIdx + 1 >= dipEnd) return null;
+  let dipIdx = peakIdx + 1;
+  for (let j = peakIdx + 1; j < dipEnd; j++) {
+    if (values[j] < values[dipIdx]) dipIdx = j;
+  }
+  const recEnd = Math.min(values.length, dipIdx + windows.recoverySearchWindow);
+  let recIdx = Math.min(dipIdx + 1, values.length - 1);
+  for (let j = dipIdx + 1; j < recEnd; j++) {
+    if (values[j] > values[recIdx]) recIdx = j;
+  }
+  return { dipIdx, recIdx, recEnd: recEnd - 1 };
+}
+
+// Jump estimate for a shot known only by its peak index, on aMag. values:
+// the recording's aMag series, when the caller already has it.
+function jumpAtPeak(imuData, peakIdx, config = DETECTOR_DEFAULTS, values = imuData.map(s => s.aMag)) {
+  const timeAt = (j) => imuData[j].t || imuData[j].tRel || 0;
+  const win = dipAndRecoveryAt(values, peakIdx, SampleRate.windowsFor(imuData, config));
+  if (!win) return { airtimeMs: 0, jumpHeight: 0 };
+  return estimateJump(values, timeAt, win.dipIdx, peakIdx, win.recEnd);
+}
+
+// Jump height across a session: average, early vs late thirds and the
+// least-squares slope per shot — a falling trend means legs are fading.
+// Shots with no freefall (set shots, free throws) are left out.
+function jumpTrend(shots) {
+  const heights = shots.map(s => s.jumpHeight).filter(h => typeof h === 'number' && h > 0);
+  const n = heights.length;
+  const avg = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
+  if (n < 2) {
+    return { count: n, heights, mean: n ? heights[0] : null, early: null, late: null, slope: null, change: null };
+  }
+
+  const k = Math.max(1, Math.floor(n / 3));
+  const early = avg(heights.slice(0, k));
+  const late = avg(heights.slice(-k));
+
+  const xMean = (n - 1) / 2;
+  const yMean = avg(heights);
+  let num = 0, den = 0;
+  for (let i = 0; i < n; i++) {
+    num += (i - xMean) * (heights[i] - yMean);
+    den += (i - xMean) ** 2;
   }
+
+  return {
+    count: n,
+    heights,
+    mean: yMean,
+    early,
+    late,
+    slope: num / den,          // m per shot
+    change: (late - early) / early,
+  };
+}
+
+// "24cm" / "--"
+function formatJump(meters) {
+  return meters > 0 ? Math.round(meters * 100) + 'cm' : '--';
 }
 
 
 // ===== Shot Detector =====
-const PEAK_SIGMA = 2.5;
-const DIP_SIGMA = 1.5;
-const RECOVERY_SIGMA = 1.0;
-const PEAK_TO_DIP_SIGMA = 5.0;
-const MIN_PEAK_ABS = 14;
-const MAX_DIP_ABS = 4;        // was 6 — real shots dip to 0-2, walking often stays above 4
-const MIN_RISE_FROM_DIP = 8;  // was 5 — real shots recover by 23+, walking much less
-const MIN_PEAK_TO_DIP_ABS = 12; // was 8 — real shots have 12.6+ range
-const BASELINE_WINDOW = 80;
-const BASELINE_OFFSET = 20;
-const DIP_SEARCH_WINDOW = 35;
-const RECOVERY_SEARCH_WINDOW = 30;
-const SCAN_START_OFFSET = 90;  // from end
-const SCAN_END_OFFSET = 50;    // from end
-const MIN_SHOT_INTERVAL_MS = 2000;  // was 1200 — ~2s between shots for real play
-const MIN_SHOT_SAMPLES = 60;
-const MAX_EFFECTIVE_STD = 3.0; // was 1.5 — higher cap lets walking's large std raise
-                                // peak threshold, reducing false positives during movement
-                                // Real std still used for dip threshold (stricter when noisy)
-
-// Movement-aware stricter thresholds: when the sample is flagged as "moving"
-// by the movement detector, walking/running creates shot-like IMU patterns.
-// Require stronger signals to distinguish real shots from movement artifacts.
-const MOVING_MIN_PEAK_ABS = 25;     // higher peak during movement (walking peaks ~14-25)
-const MOVING_MIN_RANGE = 20;        // larger swing during movement
-const MOVING_MIN_RISE = 15;         // stronger recovery during movement
+// Default detector parameters. Every threshold lives here (rather than in
+// module-level constants) so a session can record the exact config it was
+// detected with and be re-run with it later.
+const DETECTOR_DEFAULTS = {
+  peakSigma: 2.5,
+  dipSigma: 1.5,
+  recoverySigma: 1.0,
+  peakToDipSigma: 5.0,
+  minPeakAbs: 14,
+  maxDipAbs: 4,           // was 6 — real shots dip to 0-2, walking often stays above 4
+  minRiseFromDip: 8,      // was 5 — real shots recover by 23+, walking much less
+  minPeakToDipAbs: 12,    // was 8 — real shots have 12.6+ range
+  // Windows in ms, converted to samples at the measured rate (the old
+  // sample counts at ~60 Hz: 80, 20, 35, 30 and 60 samples)
+  baselineWindowMs: 1360,
+  baselineOffsetMs: 340,
+  dipSearchMs: 595,
+  recoverySearchMs: 510,
+  minShotIntervalMs: 2000, // was 1200 — ~2s between shots for real play
+  minShotGapMs: 1020,     // same guard counted in samples, for streams without timestamps
+  maxEffectiveStd: 3.0,   // was 1.5 — higher cap lets walking's large std raise
+                          // peak threshold, reducing false positives during movement
+                          // Real std still used for dip threshold (stricter when noisy)
+
+  // Movement-aware stricter thresholds: when the baseline std says the player
+  // was moving, walking/running creates shot-like IMU patterns.
+  // Require stronger signals to distinguish real shots from movement artifacts.
+  movingStdThreshold: 2.0,
+  movingMinPeakAbs: 25,   // higher peak during movement (walking peaks ~14-25)
+  movingMinRange: 20,     // larger swing during movement
+  movingMinRise: 15,      // stronger recovery during movement
+
+  // Cadence filter: while the preceding seconds have a step rhythm, a
+  // candidate landing on a beat is a foot strike, however shot-like. Off
+  // unless asked for (see the 'step-filter' preset): a shot taken right off
+  // a dribble or jog can land on the beat too.
+  cadenceFilter: false,
+  cadenceMinCorr: 0.3,          // autocorrelation needed to call it a rhythm
+  cadencePhaseTolerance: 0.12,  // fraction of the period either side of a beat
+
+  // Retrospective burst filter
+  burstGapMs: 12000,      // 12s — walking FPs are often ~10s apart
+  minBurstSize: 3,
+  burstSecondsPerShot: 8, // keep at most 1 shot per 8s of burst duration
+
+  // Resample the stream to this rate before detection (0 = as delivered)
+  resampleHz: 0,
+
+  // Longer silences between samples restart the baseline (see SENSOR_GAP_MS)
+  sensorGapMs: SENSOR_GAP_MS,
+
+  // Input signal: 'aMag' (orientation-free magnitude) or 'vertical'
+  // (gravity-aligned aVert + g, same scale as aMag so thresholds carry over)
+  signal: 'aMag',
+};
+
+const DETECTOR_SIGNALS = ['aMag', 'vertical'];
+
+// Named presets — overrides applied on top of DETECTOR_DEFAULTS
+const DETECTOR_PRESETS = {
+  'default': {},
+  // Phone in a shorts pocket, favoring fewer false positives while walking
+  'pocket-conservative': {
+    peakSigma: 3.0,
+    maxDipAbs: 3,
+    minPeakToDipAbs: 14,
+    minShotIntervalMs: 2500,
+    movingStdThreshold: 1.5,
+    movingMinPeakAbs: 28,
+    movingMinRange: 24,
+  },
+  // Phone in a pocket, catching softer shots at the cost of more false positives
+  'pocket-sensitive': {
+    peakSigma: 2.0,
+    maxDipAbs: 6,
+    minRiseFromDip: 5,
+    minPeakToDipAbs: 8,
+    minShotIntervalMs: 1200,
+    movingMinPeakAbs: 20,
+    movingMinRange: 15,
+    movingMinRise: 10,
+  },
+  // Phone held in the shooting hand or strapped to the forearm: the release
+  // swing dominates, so the freefall dip is shallower and peaks are larger
+  'hand-held': {
+    minPeakAbs: 18,
+    maxDipAbs: 7,
+    minPeakToDipAbs: 14,
+    dipSigma: 1.0,
+    movingMinPeakAbs: 30,
+    movingMinRange: 22,
+  },
+  // Default thresholds plus the cadence filter: fewer walking and jogging
+  // false positives, at the risk of dropping a shot taken off a dribble
+  'step-filter': {
+    cadenceFilter: true,
+  },
+};
 
 class ShotDetector {
-  constructor() {
-    this.lastShotTime = 0;
-    this.lastShotIdx = -Infinity;
+  // config: a preset name, or a (partial) parameter object — optionally with
+  // a `preset` key to start from. Omitted keys fall back to the defaults.
+  constructor(config) {
+    this.config = ShotDetector.resolveConfig(config);
     this.calibration = null;  // Set from MotionCalibrator.load() to enable post-filter
+    this.model = null;        // Set from ShotModel.load() to enable the trained-model post-filter
+    this.template = null;     // Set from ShotTemplate.load() to enable template matching
     this.useConsensus = false; // Enable multi-detector consensus
     this.consensusOpts = {};   // Options for consensus detectors
+    this.trace = null;         // Candidate log while explain() runs
+    this.reset();
   }
 
-  // Compute baseline stats from a slice of aMag values
-  _baseline(aMags, endIdx) {
-    const start = Math.max(0, endIdx - BASELINE_WINDOW);
-    const slice = aMags.slice(start, endIdx);
-    if (slice.length < 10) return null;
-    const mean = slice.reduce((a, b) => a + b, 0) / slice.length;
-    const variance = slice.reduce((a, v) => a + (v - mean) ** 2, 0) / slice.length;
-    return { mean, std: Math.sqrt(variance) };
+  // Resolve a preset name / partial config into a full parameter object
+  static resolveConfig(config) {
+    if (typeof config === 'string') config = { preset: config };
+    config = config || {};
+
+    const preset = config.preset && DETECTOR_PRESETS[config.preset] ? config.preset : 'default';
+    const resolved = { preset, ...DETECTOR_DEFAULTS, ...DETECTOR_PRESETS[preset] };
+    for (const key of Object.keys(DETECTOR_DEFAULTS)) {
+      if (typeof config[key] === 'number' && !isNaN(config[key])) resolved[key] = config[key];
+      else if (typeof DETECTOR_DEFAULTS[key] === 'boolean' && typeof config[key] === 'boolean') resolved[key] = config[key];
+    }
+    // Sample-count windows from configs saved before windows were in ms
+    for (const [legacy, key] of Object.entries(LEGACY_WINDOW_KEYS)) {
+      if (typeof config[legacy] === 'number' && typeof config[key] !== 'number') {
+        resolved[key] = config[legacy] * LEGACY_SAMPLE_MS;
+      }
+    }
+    if (DETECTOR_SIGNALS.includes(config.signal)) resolved.signal = config.signal;
+    return resolved;
   }
 
-  // Live mode: call after each new sample pushed to buffer
-  // Returns shot info or null
-  processSample(buffer, currentTime) {
-    const len = buffer.length;
-    if (len < SCAN_START_OFFSET + BASELINE_WINDOW + BASELINE_OFFSET) return null;
+  // Detector input for one sample (annotated with aVert, see _ingest)
+  _signalOf(sample) {
+    return this.config.signal === 'vertical' ? sample.aVert + STANDARD_GRAVITY : sample.aMag;
+  }
 
-    const scanStart = len - SCAN_START_OFFSET;
-    const scanEnd = len - SCAN_END_OFFSET;
+  // The detector input signal for a whole recording (imuData is left as is)
+  signalValues(imuData) {
+    if (this.config.signal !== 'vertical') return imuData.map(s => s.aMag);
+    const est = new GravityEstimator();
+    return imuData.map(s => (s.aVert === undefined ? est.processSample({ ...s }) : s).aVert + STANDARD_GRAVITY);
+  }
 
-    // Extract aMag array for scanning
-    const aMags = [];
-    for (let i = 0; i < len; i++) aMags.push(buffer.get(i).aMag);
+  // Mean/std of the baseline window [c - offset - window, c - offset) for
+  // candidate c. Only local maxima get this far, so candidates are never
+  // adjacent and the window is summed afresh each time.
+  _baselineFor(c) {
+    const win = this.windows;
+    const end = c - win.baselineOffset;
+    const start = Math.max(0, end - win.baselineWindow);
+    const n = end - start;
+    if (n < 10) return null;
+
+    let sum = 0;
+    let sumSq = 0;
+    for (let j = start; j < end; j++) {
+      const v = this.aMags[j - this.offset];
+      sum += v;
+      sumSq += v * v;
+    }
+    const mean = sum / n;
+    const variance = Math.max(0, sumSq / n - mean * mean);
+    return { mean, std: Math.sqrt(variance) };
+  }
 
-    for (let i = scanStart; i < scanEnd; i++) {
-      const result = this._checkCandidate(aMags, i, len, currentTime, buffer);
-      if (result) return result;
+  // How far _evaluate() reads around a candidate, in samples at the fixed
+  // rate → { behind, ahead }. Behind: the baseline window, the shot-type
+  // approach, the cadence window (which ends 5 samples short of the peak)
+  // and the template and consensus windows. Ahead: the dip and recovery
+  // search windows plus the calibration feature margin (or gyroSpike's,
+  // past the recovery peak), or the template and consensus windows when longer.
+  _reach() {
+    const win = this.windows;
+    const count = (ms) => SampleRate.count(ms * RATE_DRIFT_SLACK, win.sampleMs);
+    let beforeMs = SHOT_TYPE_PARAMS.preShotStartMs;
+    let afterMs = 0;
+    let afterRecovery = 3;
+    if (this.config.cadenceFilter) beforeMs = Math.max(beforeMs, CADENCE_WINDOW_MS);
+    if (this.template) {
+      beforeMs = Math.max(beforeMs, this.template.preMs);
+      afterMs = Math.max(afterMs, this.template.postMs);
     }
-    return null;
+    if (this.useConsensus) {
+      const reach = ShotDetectorConsensus.reach(this.consensusOpts);
+      beforeMs = Math.max(beforeMs, reach.beforeMs);
+      afterMs = Math.max(afterMs, reach.afterMs);
+      if (reach.afterRecoveryMs) afterRecovery = Math.max(afterRecovery, count(reach.afterRecoveryMs) + 1);
+    }
+    return {
+      behind: Math.max(win.baselineWindow + win.baselineOffset, count(beforeMs) + 6),
+      ahead: Math.max(win.dipSearchWindow + win.recoverySearchWindow + afterRecovery, afterMs ? count(afterMs) + 1 : 0),
+    };
   }
 
-  // Batch mode: detect all shots in a full aMag array
-  detectAll(imuData) {
-    const aMags = imuData.map(s => s.aMag);
+  // Fix the sample rate — the resampler's, or measured over the first
+  // RATE_WARMUP_SAMPLES — and the sample-count windows that follow from it
+  _fixRate() {
+    const sampleMs = this.resampler ? this.resampler.stepMs : SampleRate.intervalMs(this.samples) || LEGACY_SAMPLE_MS;
+    this.windows = SampleRate.windows(this.config, sampleMs);
+    this.nextCandidate = this.resumeIdx + this.windows.baselineWindow + this.windows.baselineOffset;
+  }
+
+  // Sensor gap before the sample about to be ingested: judge every candidate
+  // still waiting on lookahead, its dip and recovery search cut short at the
+  // gap, then start over after it instead of treating the jump as
+  // contiguous — history dropped, so every look-back starts at the gap, and
+  // a full baseline window before the next candidate. Returns the shots
+  // found before the gap.
+  _restartAfterGap() {
+    const shots = this.windows ? this._judgeUpTo(this.count) : [];
+    this.samples = [];
+    this.aMags = [];
+    this.offset = this.count;
+    this.resumeIdx = this.count;
+    if (this.windows) this.nextCandidate = this.resumeIdx + this.windows.baselineWindow + this.windows.baselineOffset;
+    return shots;
+  }
+
+  // Recording index of detector sample c (differs only when resampling)
+  _src(c) {
+    return this.resampler ? this.samples[c - this.offset].srcIdx : c;
+  }
+
+  // Feed one IMU sample. Used directly in live mode and by detectAll() in
+  // batch mode, so both paths judge every candidate on identical data.
+  // Returns the shots among the candidates that just became decidable: most
+  // often none or one, more when resampling turns one sample into several
+  // or a sensor gap settles everything still waiting on lookahead.
+  push(sample) {
+    if (!this.resampler) return this._ingest(sample);
     const shots = [];
-    let lastIdx = -Infinity;
-    let lastTime = 0;
+    for (const s of this.resampler.push(sample)) shots.push(...this._ingest(s));
+    return shots;
+  }
 
-    for (let i = BASELINE_WINDOW + BASELINE_OFFSET; i < aMags.length - DIP_SEARCH_WINDOW - RECOVERY_SEARCH_WINDOW; i++) {
-      // Check if this is a local maximum
-      if (aMags[i] <= aMags[i - 1] || aMags[i] < aMags[i + 1]) continue;
+  _ingest(sample) {
+    // Samples without aVert (older recordings, batch runs) are annotated by
+    // the detector's own gravity estimator — on a copy, so a recording run
+    // through detectAll() comes back unchanged
+    if (sample.aVert === undefined) sample = this.gravity.processSample({ ...sample });
+    const t = sample.t || sample.tRel || 0;
+    const shots = this.count > 0 && t - this.lastT > this.config.sensorGapMs ? this._restartAfterGap() : [];
+    this.lastT = t;
+    this.samples.push(sample);
+    this.aMags.push(this._signalOf(sample));
+    this.count++;
+    if (!this.windows) {
+      if (this.samples.length < RATE_WARMUP_SAMPLES) return shots;
+      this._fixRate();
+    }
 
-      const baseEnd = Math.max(0, i - BASELINE_OFFSET);
-      const base = this._baseline(aMags, baseEnd);
-      if (!base) continue;
+    const reach = this._reach();
+    while (this.nextCandidate + reach.ahead < this.count) {
+      const result = this._evaluate(this.nextCandidate);
+      this.nextCandidate++;
+      if (result) shots.push(result);
+    }
 
-      // Capped std for peak/range/recovery; real std for dip (stays strict when noisy)
-      const effStd = Math.min(base.std, MAX_EFFECTIVE_STD);
+    this._trim(reach.behind);
+    return shots;
+  }
 
-      const peakThreshold = base.mean + PEAK_SIGMA * effStd;
-      if (aMags[i] < peakThreshold || aMags[i] < MIN_PEAK_ABS) continue;
+  // End of stream: judge the candidates still waiting on lookahead, using
+  // whatever samples remain (same bounds the batch scan always used)
+  flush() {
+    if (!this.windows) this._fixRate();
+    const win = this.windows;
+    return this._judgeUpTo(this.count - win.dipSearchWindow - win.recoverySearchWindow);
+  }
 
-      // Enforce min samples between shots
-      if (i - lastIdx < MIN_SHOT_SAMPLES) continue;
+  // Judge the waiting candidates before absolute index end → shots
+  _judgeUpTo(end) {
+    const shots = [];
+    while (this.nextCandidate < end) {
+      const result = this._evaluate(this.nextCandidate);
+      this.nextCandidate++;
+      if (result) shots.push(result);
+    }
+    return shots;
+  }
 
-      // Enforce min time between shots
-      const sampleTime = imuData[i].t || imuData[i].tRel || 0;
-      if (sampleTime - lastTime < MIN_SHOT_INTERVAL_MS && lastTime > 0) continue;
+  // Drop history no candidate can reach anymore (behind, from _reach()).
+  // Amortized O(1) per sample.
+  _trim(behind) {
+    const drop = this.nextCandidate - behind - 1 - this.offset;
+    if (drop > 1000) {
+      this.samples = this.samples.slice(drop);
+      this.aMags = this.aMags.slice(drop);
+      this.offset += drop;
+    }
+  }
 
-      // Find dip
-      const dipEnd = Math.min(aMags.length, i + DIP_SEARCH_WINDOW);
-      let dipIdx = i + 1;
-      for (let j = i + 1; j < dipEnd; j++) {
-        if (aMags[j] < aMags[dipIdx]) dipIdx = j;
-      }
+  // Run the stream over a full recording; shots before the burst filter
+  _scan(imuData) {
+    this.reset();
+    const shots = [];
+    for (const sample of imuData) shots.push(...this.push(sample));
+    shots.push(...this.flush());
+    return shots;
+  }
 
-      const dipThreshold = base.mean - DIP_SIGMA * base.std;
-      if (aMags[dipIdx] > dipThreshold || aMags[dipIdx] > MAX_DIP_ABS) continue;
+  // Batch mode: detect all shots in a full IMU recording
+  detectAll(imuData) {
+    const shots = this._scan(imuData);
 
-      // Peak-to-dip range
-      const peakToDipRange = aMags[i] - aMags[dipIdx];
-      const minRange = Math.max(MIN_PEAK_TO_DIP_ABS, effStd * PEAK_TO_DIP_SIGMA);
-      if (peakToDipRange < minRange) continue;
+    // Retrospective burst filter: prune clusters of rapid-fire detections
+    const toRemove = ShotDetector.retrospectiveFilter(shots, this.config);
+    if (toRemove.size > 0) {
+      return shots.filter((_, i) => !toRemove.has(i));
+    }
+    return shots;
+  }
 
-      // Find recovery peak
-      const recEnd = Math.min(aMags.length, dipIdx + RECOVERY_SEARCH_WINDOW);
-      let recIdx = dipIdx + 1;
-      if (recIdx >= recEnd) continue;
-      for (let j = dipIdx + 1; j < recEnd; j++) {
-        if (aMags[j] > aMags[recIdx]) recIdx = j;
-      }
+  // Trace mode: detectAll() plus a record of every local-max candidate —
+  // baseline stats, each check with its value and threshold, and the first
+  // check that failed (rejectedBy: null means it was kept as a shot).
+  // Returns { shots, candidates }.
+  explain(imuData) {
+    const candidates = this.trace = [];
+    let found;
+    try {
+      found = this._scan(imuData);
+    } finally {
+      this.trace = null;
+    }
 
-      const recThreshold = base.mean + RECOVERY_SIGMA * effStd;
-      const riseFromDip = aMags[recIdx] - aMags[dipIdx];
-      if (aMags[recIdx] < recThreshold || riseFromDip < MIN_RISE_FROM_DIP) continue;
+    const toRemove = ShotDetector.retrospectiveFilter(found, this.config);
+    const byIdx = new Map(candidates.map(c => [c.idx, c]));
+    found.forEach((shot, k) => {
+      if (!toRemove.has(k)) return;
+      const cand = byIdx.get(shot.idx);
+      cand.checks.push({ check: 'burst-filter', name: 'burst', value: null, threshold: null, op: null, pass: false });
+      cand.rejectedBy = 'burst-filter';
+    });
 
-      // Movement-aware stricter thresholds: if baseline std is high,
-      // the player was actively moving — require stronger signals
-      if (base.std > 2.0) {
-        if (aMags[i] < MOVING_MIN_PEAK_ABS) continue;
-        if (peakToDipRange < MOVING_MIN_RANGE) continue;
-        if (riseFromDip < MOVING_MIN_RISE) continue;
-      }
+    return { shots: found.filter((_, k) => !toRemove.has(k)), candidates };
+  }
 
-      // Three-phase passed — apply post-filters
+  // Per-sample levels a candidate peak at each index is judged against:
+  // rolling baseline mean, the peak level it must reach (sigma and absolute
+  // floors, moving-strict floor when the baseline is noisy), the level its
+  // dip must fall to, and the recovery level. null where no candidate is
+  // judged (before the first full baseline window). `signal` is the detector
+  // input itself, which differs from aMag when config.signal is 'vertical'.
+  // Windows are taken at the recording's own rate, also when resampling.
+  thresholdSeries(imuData) {
+    const cfg = this.config;
+    const win = SampleRate.windowsFor(imuData, cfg);
+    const n = imuData.length;
+    const signal = this.signalValues(imuData);
+    const series = {
+      signal,
+      mean: new Array(n).fill(null),
+      peak: new Array(n).fill(null),
+      dip: new Array(n).fill(null),
+      recovery: new Array(n).fill(null),
+    };
 
-      // Multi-detector consensus
-      let consensus = null;
-      if (this.useConsensus) {
-        consensus = ShotDetectorConsensus.evaluate(aMags, i, dipIdx, recIdx, this.consensusOpts);
-        if (!consensus.isShot) continue;
-      }
+    // Prefix sums so each window's mean/std is O(1)
+    const sum = new Float64Array(n + 1);
+    const sumSq = new Float64Array(n + 1);
+    for (let j = 0; j < n; j++) {
+      const v = signal[j];
+      sum[j + 1] = sum[j] + v;
+      sumSq[j + 1] = sumSq[j] + v * v;
+    }
 
-      // Calibration post-filter
-      let calibResult = null;
-      if (this.calibration) {
-        const features = MotionCalibrator._extractFeatures(imuData, i, dipIdx, recIdx, base.mean);
-        if (features) {
-          calibResult = MotionCalibrator.classify(features, this.calibration);
-          if (!calibResult.isShot) continue;
-        }
-      }
+    for (let c = win.baselineWindow + win.baselineOffset; c < n; c++) {
+      const end = c - win.baselineOffset;
+      const start = Math.max(0, end - win.baselineWindow);
+      const count = end - start;
+      if (count < 10) continue;
+      const mean = (sum[end] - sum[start]) / count;
+      const std = Math.sqrt(Math.max(0, (sumSq[end] - sumSq[start]) / count - mean * mean));
+      const effStd = Math.min(std, cfg.maxEffectiveStd);
+
+      let peak = Math.max(mean + cfg.peakSigma * effStd, cfg.minPeakAbs);
+      if (std > cfg.movingStdThreshold) peak = Math.max(peak, cfg.movingMinPeakAbs);
+
+      series.mean[c] = mean;
+      series.peak[c] = peak;
+      series.dip[c] = Math.min(mean - cfg.dipSigma * std, cfg.maxDipAbs);
+      series.recovery[c] = mean + cfg.recoverySigma * effStd;
+    }
+    return series;
+  }
 
-      // Shot detected!
-      shots.push({
-        idx: i,
-        mag: aMags[i],
-        dipMag: aMags[dipIdx],
-        recoveryMag: aMags[recIdx],
-        range: peakToDipRange,
-        t: imuData[i].t,
-        tRel: imuData[i].tRel,
-        consensus,
-        calibResult,
-      });
+  // Failed checks of a traced candidate (all in its rejectedBy group)
+  static failedChecks(cand) {
+    return cand.checks.filter(ch => !ch.pass);
+  }
 
-      lastIdx = i;
-      lastTime = sampleTime;
+  // Rejected candidates that came close: every failed check missed its
+  // threshold by at most maxMargin (fraction of the threshold). Candidates
+  // that passed the three-phase test but were vetoed by a post-filter
+  // (consensus, calibration, model, template, burst filter) are always included, margin 0.
+  static nearMisses(candidates, maxMargin = 0.1) {
+    const out = [];
+    for (const cand of candidates) {
+      if (!cand.rejectedBy || cand.rejectedBy === 'baseline') continue;
+      let margin = 0;
+      let ranOut = false;
+      for (const ch of ShotDetector.failedChecks(cand)) {
+        if (ch.threshold === null || ['consensus', 'model', 'template'].includes(ch.check)) continue;
+        if (ch.value === null) ranOut = true; // ran off the end of the recording
+        else margin = Math.max(margin, Math.abs(ch.value - ch.threshold) / (Math.abs(ch.threshold) || 1));
+      }
+      if (!ranOut && margin <= maxMargin) out.push({ ...cand, margin });
     }
+    return out.sort((a, b) => a.margin - b.margin);
+  }
 
-    // Retrospective burst filter: prune clusters of rapid-fire detections
-    const toRemove = ShotDetector.retrospectiveFilter(shots);
-    if (toRemove.size > 0) {
-      return shots.filter((_, i) => !toRemove.has(i));
+  // One-line reason for a traced candidate's rejection, e.g. "dip-abs 4.62 > 4"
+  static describeRejection(cand) {
+    if (!cand.rejectedBy) return 'shot';
+    if (cand.rejectedBy === 'consensus' && cand.consensus) {
+      const c = cand.consensus;
+      return `consensus ${c.votes}/${c.total} votes, score ${c.score.toFixed(2)} < ${c.threshold.toFixed(2)}`;
     }
-    return shots;
+    if (cand.rejectedBy === 'calibration' && cand.calibResult) {
+      return `calibration: ${cand.calibResult.reason || 'not a shot'}`;
+    }
+    if (cand.rejectedBy === 'cadence' && cand.cadence) {
+      const c = cand.cadence;
+      return `on the step beat (${Math.round(c.stepsPerMin)} steps/min, phase ${c.phase.toFixed(2)})`;
+    }
+    const fmt = (v) => Number.isInteger(v) ? String(v) : v.toFixed(2);
+    return ShotDetector.failedChecks(cand).map(ch => {
+      if (ch.threshold === null) return cand.rejectedBy;
+      if (ch.value === null) return `${ch.name}: end of recording`;
+      return `${ch.name} ${fmt(ch.value)} ${ch.op === '>=' ? '<' : '>'} ${fmt(ch.threshold)}`;
+    }).join(', ');
   }
 
-  // Check a single candidate peak in live mode
-  _checkCandidate(aMags, i, len, currentTime, buffer) {
+  // Judge candidate peak at absolute index c. Returns shot info or null.
+  _evaluate(c) {
+    const cfg = this.config;
+    const win = this.windows;
+    const off = this.offset;
+    const aMags = this.aMags;
+    const i = c - off; // local index into the retained history
+    const len = aMags.length;
+
     // Must be local max
     if (aMags[i] <= aMags[i - 1] || aMags[i] < aMags[i + 1]) return null;
 
-    const baseEnd = Math.max(0, i - BASELINE_OFFSET);
-    const base = this._baseline(aMags, baseEnd);
-    if (!base) return null;
+    // Trace mode: record the candidate and every comparison made on it
+    const sample = this.samples[i];
+    const trace = this.trace ? {
+      idx: this._src(c), t: sample.t, tRel: sample.tRel, mag: aMags[i],
+      baseline: null, dipIdx: null, recIdx: null,
+      checks: [], rejectedBy: null, consensus: null, calibResult: null,
+    } : null;
+    if (trace) this.trace.push(trace);
+    const check = (group, name, value, threshold, op) => {
+      const pass = value === null ? false : (op === '>=' ? value >= threshold : value <= threshold);
+      if (trace) {
+        trace.checks.push({ check: group, name, value, threshold, op, pass });
+        if (!pass && !trace.rejectedBy) trace.rejectedBy = group;
+      }
+      return pass;
+    };
+
+    const base = this._baselineFor(c);
+    if (!base) {
+      if (trace) trace.rejectedBy = 'baseline';
+      return null;
+    }
 
-    const effStd = Math.min(base.std, MAX_EFFECTIVE_STD);
+    // Capped std for peak/range/recovery; real std for dip (stays strict when noisy)
+    const effStd = Math.min(base.std, cfg.maxEffectiveStd);
+    if (trace) trace.baseline = { mean: base.mean, std: base.std, effStd };
 
-    const peakThreshold = base.mean + PEAK_SIGMA * effStd;
-    if (aMags[i] < peakThreshold || aMags[i] < MIN_PEAK_ABS) return null;
+    const peakThreshold = base.mean + cfg.peakSigma * effStd;
+    const peakOk = check('peak', 'peak', aMags[i], peakThreshold, '>=');
+    const peakAbsOk = check('peak', 'peak-abs', aMags[i], cfg.minPeakAbs, '>=');
+    if (!peakOk || !peakAbsOk) return null;
 
-    // Enforce minimum intervals
-    const absIdx = buffer.absIndex(i);
-    if (absIdx - this.lastShotIdx < MIN_SHOT_SAMPLES) return null;
-    if (currentTime - this.lastShotTime < MIN_SHOT_INTERVAL_MS && this.lastShotTime > 0) return null;
+    // Enforce min samples and min time between shots
+    const sampleTime = sample.t || sample.tRel || 0;
+    if (!check('interval', 'samples-since-shot', c - this.lastShotIdx, win.minShotSamples, '>=')) return null;
+    const sinceShot = this.lastShotTime > 0 ? sampleTime - this.lastShotTime : Infinity;
+    if (!check('interval', 'ms-since-shot', sinceShot, cfg.minShotIntervalMs, '>=')) return null;
 
     // Find dip
-    const dipEnd = Math.min(len, i + DIP_SEARCH_WINDOW);
+    const dipEnd = Math.min(len, i + win.dipSearchWindow);
     let dipIdx = i + 1;
-    if (dipIdx >= dipEnd) return null;
+    if (dipIdx >= dipEnd) {
+      check('dip', 'dip', null, cfg.maxDipAbs, '<=');
+      return null;
+    }
     for (let j = i + 1; j < dipEnd; j++) {
       if (aMags[j] < aMags[dipIdx]) dipIdx = j;
     }
+    if (trace) trace.dipIdx = this._src(dipIdx + off);
 
-    const dipThreshold = base.mean - DIP_SIGMA * base.std;
-    if (aMags[dipIdx] > dipThreshold || aMags[dipIdx] > MAX_DIP_ABS) return null;
+    const dipThreshold = base.mean - cfg.dipSigma * base.std;
+    const dipOk = check('dip', 'dip', aMags[dipIdx], dipThreshold, '<=');
+    const dipAbsOk = check('dip', 'dip-abs', aMags[dipIdx], cfg.maxDipAbs, '<=');
+    if (!dipOk || !dipAbsOk) return null;
 
     // Peak-to-dip range
     const peakToDipRange = aMags[i] - aMags[dipIdx];
-    const minRange = Math.max(MIN_PEAK_TO_DIP_ABS, effStd * PEAK_TO_DIP_SIGMA);
-    if (peakToDipRange < minRange) return null;
+    const minRange = Math.max(cfg.minPeakToDipAbs, effStd * cfg.peakToDipSigma);
+    if (!check('range', 'range', peakToDipRange, minRange, '>=')) return null;
 
-    // Find recovery
-    const recEnd = Math.min(len, dipIdx + RECOVERY_SEARCH_WINDOW);
+    // Find recovery peak
+    const recEnd = Math.min(len, dipIdx + win.recoverySearchWindow);
     let recIdx = dipIdx + 1;
-    if (recIdx >= recEnd) return null;
+    if (recIdx >= recEnd) {
+      check('recovery', 'rise', null, cfg.minRiseFromDip, '>=');
+      return null;
+    }
     for (let j = dipIdx + 1; j < recEnd; j++) {
       if (aMags[j] > aMags[recIdx]) recIdx = j;
     }
+    if (trace) trace.recIdx = this._src(recIdx + off);
 
-    const recThreshold = base.mean + RECOVERY_SIGMA * effStd;
+    const recThreshold = base.mean + cfg.recoverySigma * effStd;
     const riseFromDip = aMags[recIdx] - aMags[dipIdx];
-    if (aMags[recIdx] < recThreshold || riseFromDip < MIN_RISE_FROM_DIP) return null;
+    const recOk = check('recovery', 'recovery', aMags[recIdx], recThreshold, '>=');
+    const riseOk = check('recovery', 'rise', riseFromDip, cfg.minRiseFromDip, '>=');
+    if (!recOk || !riseOk) return null;
 
     // Movement-aware stricter thresholds: if baseline std is high,
     // the player was actively moving — require stronger signals
-    if (base.std > 2.0) {
-      if (aMags[i] < MOVING_MIN_PEAK_ABS) return null;
-      if (peakToDipRange < MOVING_MIN_RANGE) return null;
-      if (riseFromDip < MOVING_MIN_RISE) return null;
+    if (base.std > cfg.movingStdThreshold) {
+      if (!check('moving-strict', 'moving-peak', aMags[i], cfg.movingMinPeakAbs, '>=')) return null;
+      if (!check('moving-strict', 'moving-range', peakToDipRange, cfg.movingMinRange, '>=')) return null;
+      if (!check('moving-strict', 'moving-rise', riseFromDip, cfg.movingMinRise, '>=')) return null;
+    }
+
+    // Cadence: candidate on the beat of the step rhythm before it
+    if (cfg.cadenceFilter) {
+      const cadence = CadenceEstimator.atPeak(aMags, (j) => this.samples[j].t || this.samples[j].tRel || 0, i);
+      if (trace) trace.cadence = cadence;
+      if (cadence && cadence.corr >= cfg.cadenceMinCorr) {
+        if (!check('cadence', 'step-phase', cadence.phase, cfg.cadencePhaseTolerance, '>=')) return null;
+      }
     }
 
     // Three-phase passed — apply post-filters
@@ -395,40 +1180,89 @@ class ShotDetector {
     // Multi-detector consensus
     let consensus = null;
     if (this.useConsensus) {
-      consensus = ShotDetectorConsensus.evaluate(aMags, i, dipIdx, recIdx, this.consensusOpts);
-      if (!consensus.isShot) return null;
+      consensus = ShotDetectorConsensus.evaluate(aMags, i, dipIdx, recIdx,
+        { sampleMs: win.sampleMs, ...this.consensusOpts }, this.samples);
+      if (trace) trace.consensus = consensus;
+      if (!check('consensus', 'score', consensus.score, consensus.threshold, '>=')) return null;
     }
 
+    // Feature vector shared by the calibration and model post-filters
+    const features = this.calibration || this.model
+      ? MotionCalibrator._extractFeatures(this.samples, i, dipIdx, recIdx, base.mean) : null;
+
     // Calibration post-filter
     let calibResult = null;
     if (this.calibration) {
-      const features = MotionCalibrator._extractFeatures(buffer.data, i, dipIdx, recIdx, base.mean);
       if (features) {
         calibResult = MotionCalibrator.classify(features, this.calibration);
+        if (trace) {
+          trace.calibResult = calibResult;
+          trace.checks.push({ check: 'calibration', name: 'classify', value: null, threshold: null, op: null, pass: calibResult.isShot });
+          if (!calibResult.isShot) trace.rejectedBy = 'calibration';
+        }
         if (!calibResult.isShot) return null;
       }
     }
 
+    // Trained-model post-filter
+    let modelScore = null;
+    if (this.model && features) {
+      modelScore = ShotModel.predict(this.model, features);
+      if (!check('model', 'probability', modelScore, this.model.threshold, '>=')) return null;
+    }
+
+    // Template-matching post-filter: DTW distance to the player's own shots
+    let templateDistance = null;
+    if (this.template) {
+      const match = ShotTemplate.match(this.template, this.samples, i);
+      if (match) {
+        templateDistance = match.distance;
+        if (!check('template', 'dtw-distance', match.distance, match.threshold, '<=')) return null;
+      }
+    }
+
     // Shot detected!
-    this.lastShotTime = currentTime;
-    this.lastShotIdx = absIdx;
+    this.lastShotIdx = c;
+    this.lastShotTime = sampleTime;
+
+    const jump = estimateJump(aMags, (j) => this.samples[j].t || this.samples[j].tRel || 0, dipIdx, i, recIdx);
+    const shotType = ShotTypeClassifier.classify(
+      ShotTypeClassifier.inputs(this.samples, i, dipIdx, recIdx, jump.airtimeMs));
 
     return {
-      idx: absIdx,
-      bufferIdx: i,
+      idx: this._src(c),
+      dipIdx: this._src(dipIdx + off),
+      recIdx: this._src(recIdx + off),
       mag: aMags[i],
       dipMag: aMags[dipIdx],
       recoveryMag: aMags[recIdx],
       range: peakToDipRange,
-      t: currentTime,
+      t: sample.t,
+      tRel: sample.tRel,
+      airtimeMs: jump.airtimeMs,
+      jumpHeight: jump.jumpHeight,
+      shotType: shotType.type,
+      shotTypeConfidence: shotType.confidence,
       consensus,
       calibResult,
+      modelScore,
+      templateDistance,
     };
   }
 
   reset() {
+    this.samples = [];   // retained sample history (oldest trimmed)
+    this.aMags = [];
+    this.offset = 0;     // absolute index of samples[0]
+    this.count = 0;      // total samples pushed
+    this.nextCandidate = Infinity; // set once the sample rate is known
+    this.windows = null;   // sample-count windows (SampleRate.windows), fixed after warm-up
+    this.resumeIdx = 0;    // first sample after the last sensor gap
+    this.lastT = 0;
+    this.resampler = this.config.resampleHz > 0 ? new IMUResampler(this.config.resampleHz, this.config.sensorGapMs) : null;
     this.lastShotTime = 0;
     this.lastShotIdx = -Infinity;
+    this.gravity = new GravityEstimator();
   }
 
   // Retrospective burst filter: finds clusters of rapid-fire detections
@@ -436,12 +1270,12 @@ class ShotDetector {
   // Called periodically on the session's shot events.
   //
   // Returns Set of indices into shotEvents array that should be retracted.
-  static retrospectiveFilter(shotEvents) {
+  static retrospectiveFilter(shotEvents, config = DETECTOR_DEFAULTS) {
     if (shotEvents.length < 4) return new Set();
 
-    // Burst = 3+ consecutive shots all within BURST_GAP of each other
-    const BURST_GAP_MS = 12000;  // 12s — walking FPs are often ~10s apart
-    const MIN_BURST_SIZE = 3;
+    // Burst = minBurstSize+ consecutive shots all within burstGapMs of each other
+    const BURST_GAP_MS = config.burstGapMs;
+    const MIN_BURST_SIZE = config.minBurstSize;
 
     const bursts = [];
     let burst = [0];
@@ -475,11 +1309,11 @@ class ShotDetector {
 
       scored.sort((a, b) => b.score - a.score);
 
-      // Keep at most 1 shot per 8 seconds of burst duration
+      // Keep at most 1 shot per burstSecondsPerShot of burst duration
       const burstStart = shotEvents[burstIndices[0]].t;
       const burstEnd = shotEvents[burstIndices[burstIndices.length - 1]].t;
       const burstDurationSec = (burstEnd - burstStart) / 1000;
-      const maxKeep = Math.max(1, Math.round(burstDurationSec / 8));
+      const maxKeep = Math.max(1, Math.round(burstDurationSec / config.burstSecondsPerShot));
 
       for (let i = maxKeep; i < scored.length; i++) {
         toRemove.add(scored[i].idx);
@@ -492,6 +1326,11 @@ class ShotDetector {
 
 
 // ===== Session =====
+// Why a shot was retracted, as shown in the shot lists
+const RETRACT_REASON_LABELS = { burst_filter: 'burst filter' };
+// How far before a legacy shot_retracted event to look for its peak
+const RETRACTED_PEAK_SEARCH_MS = 1500;
+
 class Session {
   constructor() {
     this.sessionId = 'bball_' + Date.now();
@@ -504,6 +1343,12 @@ class Session {
     this.courtPositions = { ...COURT };
     this.segments = [];    // user-labeled segments
     this.userEdits = null; // delta layer for viewer edits
+    this.detectorConfig = null; // full ShotDetector config used while recording
+    this.lastShotId = 0;   // highest shot ID handed out (see nextShotId)
+    this.retractedShots = []; // shots taken back by the burst filter (restorable)
+    this.liveRetraction = true; // run the burst filter while recording
+    this.calibrationProfile = null; // CalibrationProfiles.summary of the profile in use
+    this.calibration = null; // MotionCalibrator calibration the detector ran with
   }
 
   get duration() {
@@ -526,6 +1371,122 @@ class Session {
     this.shots.push(shot);
   }
 
+  // Unique ID for a new shot — carried by its shots entry, its shot event,
+  // the log entry and any confirmation or retraction, so they're matched by
+  // ID rather than by position or magnitude
+  nextShotId() {
+    return ++this.lastShotId;
+  }
+
+  shotById(id) {
+    return this.shots.find(s => s.id === id) || null;
+  }
+
+  shotEventById(id) {
+    return this.events.find(e => (e.type === 'shot' || e.type === 'shot_retracted') && e.shotId === id) || null;
+  }
+
+  // User correction of a shot's zone, from the list (pos omitted: the zone's
+  // center) or a tap on the court. The event keeps the first zone it was
+  // detected in as originalZone; zone/courtPos always hold the current one.
+  correctShotZone(id, zone, pos) {
+    const shot = this.shotById(id);
+    if (!shot || !ZONE_COLORS[zone]) return null;
+    const { x, y } = pos || ZONE_CENTERS[zone];
+    const evt = this.shotEventById(id);
+    if (evt) {
+      if (evt.originalZone === undefined) {
+        evt.originalZone = evt.zone;
+        evt.originalCourtPos = evt.courtPos;
+      }
+      evt.correctedZone = zone;
+      evt.zone = zone;
+      evt.courtPos = { x, y };
+    }
+    Object.assign(shot, { x, y, zone, color: zoneColor(zone), dist: Math.sqrt(x * x + y * y), zoneCorrected: true });
+    return shot;
+  }
+
+  // Take a shot back out of the count: its event becomes 'shot_retracted'
+  // (kept in the export) and the shot moves to retractedShots
+  retractShot(id, reason) {
+    const shot = this.shotById(id);
+    const evt = this.shotEventById(id);
+    if (evt) {
+      evt.type = 'shot_retracted';
+      evt.retractReason = reason;
+    }
+    if (shot) {
+      this.shots = this.shots.filter(s => s !== shot);
+      this.retractedShots.push({ ...shot, retractReason: reason });
+    }
+  }
+
+  // Undo a retraction. Marked restored so the burst filter leaves it alone.
+  restoreShot(id) {
+    const evt = this.shotEventById(id);
+    const retracted = this.retractedShots.find(s => s.id === id) || (evt && this._shotFromEvent(evt));
+    if (!retracted) return null;
+
+    const { retractReason, ...shot } = retracted;
+    this.retractedShots = this.retractedShots.filter(s => s.id !== id);
+    this.shots.push(shot);
+    this.shots.sort((a, b) => a.idx - b.idx);
+    if (evt) {
+      evt.type = 'shot';
+      evt.restored = true;
+      delete evt.retractReason;
+    }
+    return shot;
+  }
+
+  // IDs of the shots the burst filter takes back among the shot events after
+  // `since`. Restored shots are pinned: they are never retracted again and
+  // don't count toward a burst, so restoring one can't push a neighbor out.
+  burstRetractions(config = DETECTOR_DEFAULTS, since = -Infinity) {
+    const recent = this.events.filter(e => e.type === 'shot' && !e.restored && e.t > since);
+    return [...ShotDetector.retrospectiveFilter(recent, config)].map(i => recent[i].shotId);
+  }
+
+  // Every retracted shot, oldest first
+  retractedList() {
+    return this.events.filter(e => e.type === 'shot_retracted')
+      .map(e => this.retractedShots.find(s => s.id === e.shotId) || this._shotFromEvent(e))
+      .filter(Boolean);
+  }
+
+  // Sessions from before retractedShots only kept the event: rebuild the
+  // shot from it, taking the peak as the highest aMag shortly before the
+  // event fired
+  _shotFromEvent(e) {
+    let idx = -1;
+    for (let i = this.imu.length - 1; i >= 0 && this.imu[i].t >= e.t - RETRACTED_PEAK_SEARCH_MS; i--) {
+      if (this.imu[i].t <= e.t && (idx < 0 || this.imu[i].aMag > this.imu[idx].aMag)) idx = i;
+    }
+    if (idx < 0) return null;
+    const pos = e.courtPos || { x: 0, y: 0 };
+    return {
+      id: e.shotId,
+      x: pos.x,
+      y: pos.y,
+      zone: e.zone,
+      color: zoneColor(e.zone),
+      dist: Math.sqrt(pos.x * pos.x + pos.y * pos.y),
+      mag: e.magnitude,
+      idx,
+      dipMag: e.dipMagnitude,
+      recoveryMag: e.recoveryMagnitude,
+      range: e.peakToDipRange,
+      airtimeMs: e.airtimeMs,
+      jumpHeight: e.jumpHeight,
+      shotType: e.shotType,
+      shotTypeConfidence: e.shotTypeConfidence,
+      consensus: e.consensus,
+      outcome: e.outcome || 'unknown',
+      retractReason: e.retractReason,
+    };
+  }
+
   toJSON() {
     const obj = {
       sessionId: this.sessionId,
@@ -539,14 +1500,20 @@ class Session {
         gpsSamples: this.gps.length,
         events: this.events.length,
         shots: this.shots.length,
+        sensorGaps: this.events.filter(e => e.type === 'sensor_gap').length,
       },
       imu: this.imu,
       gps: this.gps,
       events: this.events,
       shots: this.shots,
     };
+    if (this.retractedShots.length > 0) obj.retractedShots = this.retractedShots;
+    if (!this.liveRetraction) obj.liveRetraction = false;
     if (this.segments.length > 0) obj.segments = this.segments;
     if (this.userEdits) obj.userEdits = this.userEdits;
+    if (this.detectorConfig) obj.detectorConfig = this.detectorConfig;
+    if (this.calibrationProfile) obj.calibrationProfile = this.calibrationProfile;
+    if (this.calibration) obj.calibration = this.calibration;
     return obj;
   }
 
@@ -562,19 +1529,69 @@ class Session {
     s.courtPositions = data.courtPositions || s.courtPositions;
     s.segments = data.segments || [];
     s.userEdits = data.userEdits || null;
+    s.detectorConfig = data.detectorConfig || null;
+    s.retractedShots = data.retractedShots || [];
+    s.liveRetraction = data.liveRetraction !== false;
+    s.calibrationProfile = data.calibrationProfile || null;
+    s.calibration = data.calibration || null;
+    s._assignShotIds();
     return s;
   }
+
+  // Sessions from before shot IDs: number the shots, linking each to its
+  // shot event when the two still line up 1:1 and in order (unedited
+  // recordings); retracted and unlinked events get IDs of their own
+  _assignShotIds() {
+    const ids = [...this.shots.map(s => s.id), ...this.events.map(e => e.shotId)];
+    this.lastShotId = Math.max(0, ...ids.filter(id => typeof id === 'number'));
+
+    const shotEvents = this.events.filter(e => e.type === 'shot');
+    const linked = !this.userEdits && shotEvents.length === this.shots.length;
+    this.shots.forEach((shot, i) => {
+      if (typeof shot.id === 'number') return;
+      shot.id = this.nextShotId();
+      if (linked && shotEvents[i].shotId === undefined) shotEvents[i].shotId = shot.id;
+    });
+    for (const e of this.events) {
+      if ((e.type === 'shot' || e.type === 'shot_retracted') && e.shotId === undefined) e.shotId = this.nextShotId();
+    }
+  }
 }
 
 
 // ===== Motion Calibrator =====
+// Single-calibration key from before profiles; migrated into a "Default" profile
 const CALIB_STORAGE_KEY = 'bball_motion_calibration';
 
+// Activities profiled by a calibration
+const CALIB_ACTIVITIES = ['walking', 'running', 'dribbling', 'shooting'];
+
+// Calibration quality report (MotionCalibrator.evaluate)
+const CALIB_QUALITY = {
+  minShots: 3,          // fewer shooting patterns can't be cross-validated
+  minShotRecall: 0.6,   // share of held-out shots still accepted as shots
+  maxNoiseAccept: 0.25, // share of an activity's held-out patterns accepted as shots
+  minSeparation: 0.5,   // |Δmean| / pooled std; below this a feature overlaps
+};
+
+// Viewer segment labels that can feed a calibration profile
+const SEGMENT_CALIB_LABELS = { walking: 'walking', jogging: 'running', dribble: 'dribbling' };
+
+// Feature vector keys from _extractFeatures, profiled per activity
+const MOTION_FEATURE_KEYS = [
+  'peakMag', 'dipMag', 'recoveryMag', 'range', 'dipRatio',
+  'peakToDipSamples', 'dipToRecSamples', 'totalDuration',
+  'gyroMagAtPeak', 'gyroMagAtDip', 'maxGyroInWindow', 'gyroDipToRec',
+  'vertAtPeak', 'vertAtDip', 'vertRange', 'horizMean',
+];
+
 class MotionCalibrator {
   // --- Pattern extraction with relaxed thresholds ---
   static extractPatterns(imuData, label) {
     const aMags = imuData.map(s => s.aMag);
     if (aMags.length < 60) return [];
+    // Vertical features need aVert; annotate a copy if the recording lacks it
+    imuData = GravityEstimator.annotated(imuData);
 
     // Global stats for relaxed thresholds
     const globalMean = aMags.reduce((a, b) => a + b, 0) / aMags.length;
@@ -589,21 +1606,22 @@ class MotionCalibrator {
     const patterns = [];
     let lastPeakIdx = -Infinity;
 
-    for (let i = 2; i < aMags.length - DIP_SEARCH_WINDOW - RECOVERY_SEARCH_WINDOW; i++) {
+    const win = SampleRate.windowsFor(imuData);
+    for (let i = 2; i < aMags.length - win.dipSearchWindow - win.recoverySearchWindow; i++) {
       // Local max check
       if (aMags[i] <= aMags[i - 1] || aMags[i] < aMags[i + 1]) continue;
       if (aMags[i] < peakThresh) continue;
       if (i - lastPeakIdx < minSpacing) continue;
 
       // Baseline for this peak
-      const baseEnd = Math.max(0, i - BASELINE_OFFSET);
-      const baseStart = Math.max(0, baseEnd - BASELINE_WINDOW);
+      const baseEnd = Math.max(0, i - win.baselineOffset);
+      const baseStart = Math.max(0, baseEnd - win.baselineWindow);
       const baseSlice = aMags.slice(baseStart, baseEnd);
       if (baseSlice.length < 10) continue;
       const baseMean = baseSlice.reduce((a, b) => a + b, 0) / baseSlice.length;
 
       // Find dip
-      const dipEnd = Math.min(aMags.length, i + DIP_SEARCH_WINDOW);
+      const dipEnd = Math.min(aMags.length, i + win.dipSearchWindow);
       let dipIdx = i + 1;
       if (dipIdx >= dipEnd) continue;
       for (let j = i + 1; j < dipEnd; j++) {
@@ -614,7 +1632,7 @@ class MotionCalibrator {
       if (drop < minDrop) continue;
 
       // Find recovery
-      const recEnd = Math.min(aMags.length, dipIdx + RECOVERY_SEARCH_WINDOW);
+      const recEnd = Math.min(aMags.length, dipIdx + win.recoverySearchWindow);
       let recIdx = dipIdx + 1;
       if (recIdx >= recEnd) continue;
       for (let j = dipIdx + 1; j < recEnd; j++) {
@@ -624,7 +1642,7 @@ class MotionCalibrator {
       const rise = aMags[recIdx] - aMags[dipIdx];
       if (rise < minRise) continue;
 
-      // Extract 12-dimension feature vector
+      // Extract feature vector (MOTION_FEATURE_KEYS)
       const features = MotionCalibrator._extractFeatures(imuData, i, dipIdx, recIdx, baseMean);
       if (features) {
         features.label = label;
@@ -637,9 +1655,40 @@ class MotionCalibrator {
     return patterns;
   }
 
-  // --- Extract 12-dim feature vector from IMU data around a detected pattern ---
-  static _extractFeatures(imuData, peakIdx, dipIdx, recIdx, baselineMean) {
-    if (peakIdx < 0 || dipIdx >= imuData.length || recIdx >= imuData.length) return null;
+  // --- Patterns at known peaks (e.g. shots kept in the viewer) ---
+  static patternsAtPeaks(imuData, peakIdxs, label) {
+    imuData = GravityEstimator.annotated(imuData);
+    const aMags = imuData.map(s => s.aMag);
+    const win = SampleRate.windowsFor(imuData);
+    const patterns = [];
+    for (const idx of peakIdxs) {
+      const around = dipAndRecoveryAt(aMags, idx, win);
+      const baseEnd = Math.max(0, idx - win.baselineOffset);
+      const baseSlice = aMags.slice(Math.max(0, baseEnd - win.baselineWindow), baseEnd);
+      if (!around || baseSlice.length < 10) continue;
+      const baseMean = baseSlice.reduce((a, b) => a + b, 0) / baseSlice.length;
+      const features = MotionCalibrator._extractFeatures(imuData, idx, around.dipIdx, around.recIdx, baseMean);
+      if (features) patterns.push({ ...features, label, idx });
+    }
+    return patterns;
+  }
+
+  // --- Labeled patterns from a reviewed session: kept shots are shooting,
+  // labeled segments give the noise activities ---
+  static patternsFromLabels(imuData, shotIdxs, segments = []) {
+    const byLabel = { walking: [], running: [], dribbling: [], shooting: [] };
+    byLabel.shooting = MotionCalibrator.patternsAtPeaks(imuData, shotIdxs, 'shooting');
+    for (const seg of segments) {
+      const label = SEGMENT_CALIB_LABELS[seg.label];
+      if (!label) continue;
+      byLabel[label].push(...MotionCalibrator.extractPatterns(imuData.slice(seg.startIdx, seg.endIdx + 1), label));
+    }
+    return byLabel;
+  }
+
+  // --- Extract feature vector (12 shape/gyro + 4 gravity-aligned) around a detected pattern ---
+  static _extractFeatures(imuData, peakIdx, dipIdx, recIdx, baselineMean) {
+    if (peakIdx < 0 || dipIdx >= imuData.length || recIdx >= imuData.length) return null;
 
     const peakSample = imuData[peakIdx];
     const dipSample = imuData[dipIdx];
@@ -685,6 +1734,22 @@ class MotionCalibrator {
     }
     const gyroDipToRec = gyroCount > 0 ? gyroSum / gyroCount : 0;
 
+    // Gravity-aligned features (null when the samples carry no aVert):
+    // a jump pushes up hard at takeoff and reads ≈ -g in flight, a foot
+    // strike is a short up-spike with no sustained freefall
+    const hasVert = typeof peakSample.aVert === 'number';
+    let vertMin = Infinity;
+    let vertMax = -Infinity;
+    let horizSum = 0;
+    if (hasVert) {
+      for (let j = winStart; j <= winEnd; j++) {
+        const v = imuData[j].aVert;
+        if (v < vertMin) vertMin = v;
+        if (v > vertMax) vertMax = v;
+        horizSum += imuData[j].aHoriz;
+      }
+    }
+
     return {
       peakMag,
       dipMag,
@@ -698,6 +1763,10 @@ class MotionCalibrator {
       gyroMagAtDip,
       maxGyroInWindow,
       gyroDipToRec,
+      vertAtPeak: hasVert ? peakSample.aVert : null,
+      vertAtDip: hasVert ? dipSample.aVert : null,
+      vertRange: hasVert ? vertMax - vertMin : null,
+      horizMean: hasVert ? horizSum / (winEnd - winStart + 1) : null,
     };
   }
 
@@ -705,18 +1774,12 @@ class MotionCalibrator {
   static computeProfile(patterns) {
     if (!patterns || patterns.length === 0) return null;
 
-    const featureKeys = [
-      'peakMag', 'dipMag', 'recoveryMag', 'range', 'dipRatio',
-      'peakToDipSamples', 'dipToRecSamples', 'totalDuration',
-      'gyroMagAtPeak', 'gyroMagAtDip', 'maxGyroInWindow', 'gyroDipToRec',
-    ];
-
     const profile = { count: patterns.length };
 
-    for (const key of featureKeys) {
+    for (const key of MOTION_FEATURE_KEYS) {
       const vals = patterns.map(p => p[key]).filter(v => v != null && !isNaN(v));
       if (vals.length === 0) {
-        profile[key] = { mean: 0, std: 0, min: 0, max: 0 };
+        profile[key] = { mean: 0, std: 0, min: 0, max: 0, n: 0 };
         continue;
       }
       const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
@@ -727,39 +1790,156 @@ class MotionCalibrator {
         std,
         min: Math.min(...vals),
         max: Math.max(...vals),
+        n: vals.length,  // sample count, for merging (mergeProfiles)
       };
     }
 
     return profile;
   }
 
-  // --- Run full calibration from 4 activity recordings ---
+  // --- Calibration from per-activity patterns (not saved) ---
+  static fromPatterns(byLabel) {
+    const cal = { timestamp: Date.now(), runs: 1, profiles: {}, patternCounts: {} };
+    for (const label of CALIB_ACTIVITIES) {
+      const patterns = byLabel[label] || [];
+      cal.profiles[label] = MotionCalibrator.computeProfile(patterns);
+      cal.patternCounts[label] = patterns.length;
+    }
+    return cal;
+  }
+
+  // --- Patterns per activity from the 4 calibration recordings ---
+  static extractAll(walkingIMU, runningIMU, dribblingIMU, shootingIMU) {
+    return {
+      walking: MotionCalibrator.extractPatterns(walkingIMU, 'walking'),
+      running: MotionCalibrator.extractPatterns(runningIMU, 'running'),
+      dribbling: MotionCalibrator.extractPatterns(dribblingIMU, 'dribbling'),
+      shooting: MotionCalibrator.extractPatterns(shootingIMU, 'shooting'),
+    };
+  }
+
+  // --- Calibration from 4 activity recordings (not saved) ---
+  static build(walkingIMU, runningIMU, dribblingIMU, shootingIMU) {
+    return MotionCalibrator.fromPatterns(MotionCalibrator.extractAll(walkingIMU, runningIMU, dribblingIMU, shootingIMU));
+  }
+
+  // --- Leave-one-out quality report for one set of patterns ---
+  // Each pattern is classified against the calibration profiled without it:
+  // activities[label] = { total, asShot } is the confusion per activity
+  // (asShot for shooting = shots recognized), overlaps lists features where
+  // shooting and a noise activity sit within minSeparation pooled stds, and
+  // warnings name the step to redo when shots aren't separable.
+  static evaluate(byLabel, params = CALIB_QUALITY) {
+    const profiles = {};
+    for (const label of CALIB_ACTIVITIES) profiles[label] = MotionCalibrator.computeProfile(byLabel[label] || []);
+
+    const activities = {};
+    for (const label of CALIB_ACTIVITIES) {
+      const patterns = byLabel[label] || [];
+      let asShot = 0;
+      patterns.forEach((p, i) => {
+        const heldOut = MotionCalibrator.computeProfile(patterns.filter((_, j) => j !== i));
+        if (MotionCalibrator.classify(p, { profiles: { ...profiles, [label]: heldOut } }).isShot) asShot++;
+      });
+      activities[label] = { total: patterns.length, asShot };
+    }
+
+    const overlaps = [];
+    const shot = profiles.shooting;
+    for (const label of CALIB_ACTIVITIES) {
+      const noise = profiles[label];
+      if (label === 'shooting' || !shot || !noise) continue;
+      for (const key of MOTION_FEATURE_KEYS) {
+        const a = shot[key];
+        const b = noise[key];
+        if (!a.n || !b.n) continue;
+        const pooled = Math.sqrt((a.std * a.std + b.std * b.std) / 2);
+        const separation = pooled > 0 ? Math.abs(a.mean - b.mean) / pooled : (a.mean === b.mean ? 0 : Infinity);
+        if (separation < params.minSeparation) overlaps.push({ key, activity: label, separation });
+      }
+    }
+
+    const warnings = [];
+    const shots = activities.shooting;
+    const shotRecall = shots.total >= params.minShots ? shots.asShot / shots.total : null;
+    if (shotRecall === null) {
+      warnings.push({ step: 'shooting', message: `only ${shots.total} shot pattern${shots.total === 1 ? '' : 's'} found, need ${params.minShots}+` });
+    } else {
+      if (shotRecall < params.minShotRecall) {
+        warnings.push({ step: 'shooting', message: `only ${shots.asShot} of ${shots.total} shots recognized when held out — shots too inconsistent` });
+      }
+      for (const label of CALIB_ACTIVITIES) {
+        const { total, asShot } = activities[label];
+        if (label === 'shooting' || total === 0 || asShot / total <= params.maxNoiseAccept) continue;
+        warnings.push({ step: label, message: `${asShot} of ${total} ${label} patterns pass as shots` });
+      }
+    }
+
+    return { activities, shotRecall, overlaps, warnings, separable: warnings.length === 0 };
+  }
+
+  // --- Run full calibration from 4 activity recordings, replacing the current one ---
   static calibrate(walkingIMU, runningIMU, dribblingIMU, shootingIMU) {
-    const walkPatterns = MotionCalibrator.extractPatterns(walkingIMU, 'walking');
-    const runPatterns = MotionCalibrator.extractPatterns(runningIMU, 'running');
-    const dribblePatterns = MotionCalibrator.extractPatterns(dribblingIMU, 'dribbling');
-    const shootPatterns = MotionCalibrator.extractPatterns(shootingIMU, 'shooting');
+    const cal = MotionCalibrator.build(walkingIMU, runningIMU, dribblingIMU, shootingIMU);
+    MotionCalibrator.save(cal, 'motion-cal');
+    return cal;
+  }
 
+  // --- Combine two calibrations as if their patterns had been profiled together ---
+  static merge(base, addition) {
+    if (!base || !base.profiles) return addition;
     const cal = {
       timestamp: Date.now(),
-      profiles: {
-        walking: MotionCalibrator.computeProfile(walkPatterns),
-        running: MotionCalibrator.computeProfile(runPatterns),
-        dribbling: MotionCalibrator.computeProfile(dribblePatterns),
-        shooting: MotionCalibrator.computeProfile(shootPatterns),
-      },
-      patternCounts: {
-        walking: walkPatterns.length,
-        running: runPatterns.length,
-        dribbling: dribblePatterns.length,
-        shooting: shootPatterns.length,
-      },
+      runs: (base.runs || 1) + (addition.runs || 1),
+      profiles: {},
+      patternCounts: {},
+      sessions: [...(base.sessions || []), ...(addition.sessions || [])], // recordings added from the viewer
     };
-
-    MotionCalibrator.save(cal);
+    for (const label of CALIB_ACTIVITIES) {
+      cal.profiles[label] = MotionCalibrator.mergeProfiles(base.profiles[label], addition.profiles[label]);
+      cal.patternCounts[label] = ((base.patternCounts || {})[label] || 0) + ((addition.patternCounts || {})[label] || 0);
+    }
     return cal;
   }
 
+  // Pooled mean/std per feature (parallel variance). Stats from before
+  // per-feature counts use the profile's pattern count; all-zero stats mark
+  // a feature the recording didn't have.
+  static mergeProfiles(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    const countOf = (profile, s) => s.n !== undefined ? s.n
+      : (s.mean === 0 && s.std === 0 && s.min === 0 && s.max === 0 ? 0 : profile.count || 0);
+
+    const merged = { count: (a.count || 0) + (b.count || 0) };
+    for (const key of MOTION_FEATURE_KEYS) {
+      const sa = a[key] || { mean: 0, std: 0, min: 0, max: 0 };
+      const sb = b[key] || { mean: 0, std: 0, min: 0, max: 0 };
+      const na = countOf(a, sa);
+      const nb = countOf(b, sb);
+      if (nb === 0) { merged[key] = { ...sa, n: na }; continue; }
+      if (na === 0) { merged[key] = { ...sb, n: nb }; continue; }
+      const n = na + nb;
+      const delta = sb.mean - sa.mean;
+      const m2 = sa.std * sa.std * na + sb.std * sb.std * nb + delta * delta * na * nb / n;
+      merged[key] = {
+        mean: sa.mean + delta * nb / n,
+        std: Math.sqrt(m2 / n),
+        min: Math.min(sa.min, sb.min),
+        max: Math.max(sa.max, sb.max),
+        n,
+      };
+    }
+    return merged;
+  }
+
+  // --- Add a calibration to the selected profile's current one (new version) ---
+  static accumulate(addition, source) {
+    const cal = MotionCalibrator.merge(MotionCalibrator.load(), addition);
+    MotionCalibrator.save(cal, source);
+    return MotionCalibrator.load() || cal;
+  }
+
   // --- Classify a candidate using calibration profiles ---
   static classify(features, calibration) {
     if (!calibration || !calibration.profiles) {
@@ -800,6 +1980,10 @@ class MotionCalibrator {
       gyroMagAtDip: 1.0,
       maxGyroInWindow: 1.5,
       gyroDipToRec: 2.5,
+      vertAtPeak: 1.0,
+      vertAtDip: 2.5,
+      vertRange: 2.0,
+      horizMean: 1.0,
     };
 
     const distTo = (profile) => {
@@ -808,7 +1992,8 @@ class MotionCalibrator {
       let totalWeight = 0;
       for (const key of Object.keys(weights)) {
         const stat = profile[key];
-        if (!stat || stat.std === 0) continue;
+        // Profiles from older calibrations, or features without aVert, skip the key
+        if (!stat || stat.std === 0 || typeof features[key] !== 'number') continue;
         const z = Math.abs(features[key] - stat.mean) / stat.std;
         sumWeightedZ += z * weights[key];
         totalWeight += weights[key];
@@ -840,47 +2025,902 @@ class MotionCalibrator {
     };
   }
 
+  // --- Persistence: the selected calibration profile ---
+  static save(cal, source) {
+    const profile = CalibrationProfiles.selected() || CalibrationProfiles.create(CALIB_DEFAULT_PROFILE_NAME, '');
+    CalibrationProfiles.setCalibration(profile.id, cal, source);
+  }
+
+  static load() {
+    const profile = CalibrationProfiles.selected();
+    return profile ? profile.calibration : null;
+  }
+
+  static clear() {
+    const profile = CalibrationProfiles.selected();
+    if (profile) CalibrationProfiles.setCalibration(profile.id, null);
+  }
+
+  static hasCalibration() {
+    return MotionCalibrator.load() !== null;
+  }
+}
+
+
+// ===== Calibration Profiles =====
+// Named motion calibrations — one per player and phone placement (shorts
+// pocket, armband, ...) — so people sharing a phone don't overwrite each
+// other. Stored together as { selected, profiles: [{ id, name, placement,
+// createdAt, calibration, version, history, template }] };
+// MotionCalibrator.save/load and ShotTemplate.save/load go through the
+// selected profile.
+//
+// Every save is a new version (calibration.version / .source); the one it
+// replaces moves to history, newest last, so any of the last
+// CALIB_HISTORY_LIMIT versions can be rolled back to.
+const CALIB_PROFILES_STORAGE_KEY = 'bball_motion_profiles';
+const CALIB_DEFAULT_PROFILE_NAME = 'Default';
+const CALIB_HISTORY_LIMIT = 10;
+
+// Profile files (export/import). Bump the format version when the
+// calibration layout changes; older files stay importable, newer ones are refused.
+const CALIB_PROFILE_FILE_TYPE = 'bball-calibration-profile';
+const CALIB_PROFILE_FORMAT_VERSION = 1;
+const PHONE_PLACEMENTS = ['Shorts pocket', 'Armband', 'Waistband', 'Hand'];
+
+class CalibrationProfiles {
+  static list() {
+    return CalibrationProfiles._read().profiles;
+  }
+
+  static get(id) {
+    return CalibrationProfiles.list().find(p => p.id === id) || null;
+  }
+
+  static selected() {
+    const store = CalibrationProfiles._read();
+    return store.profiles.find(p => p.id === store.selected) || null;
+  }
+
+  static select(id) {
+    const store = CalibrationProfiles._read();
+    if (id !== null && !store.profiles.some(p => p.id === id)) return false;
+    store.selected = id;
+    CalibrationProfiles._write(store);
+    return true;
+  }
+
+  // New profiles start uncalibrated and become the selected one
+  static create(name, placement) {
+    const store = CalibrationProfiles._read();
+    const profile = {
+      id: 'prof_' + Date.now().toString(36) + '_' + store.profiles.length,
+      name: String(name || '').trim() || CALIB_DEFAULT_PROFILE_NAME,
+      placement: String(placement || '').trim(),
+      createdAt: Date.now(),
+      calibration: null,
+      version: 0,
+      history: [],
+      template: null,
+    };
+    store.profiles.push(profile);
+    store.selected = profile.id;
+    CalibrationProfiles._write(store);
+    return profile;
+  }
+
+  static rename(id, name, placement) {
+    return CalibrationProfiles._update(id, p => {
+      p.name = String(name || '').trim() || p.name;
+      if (placement !== undefined) p.placement = String(placement).trim();
+    });
+  }
+
+  // Clearing (cal = null) archives the current calibration too, so it can be rolled back
+  static setCalibration(id, cal, source) {
+    return CalibrationProfiles._update(id, p => {
+      CalibrationProfiles._archive(p);
+      p.version = (p.version || 0) + 1;
+      p.calibration = cal ? { ...cal, version: p.version, source: source || cal.source || null } : null;
+    });
+  }
+
+  // The player's shot template (ShotTemplate); not versioned
+  static setTemplate(id, template) {
+    return CalibrationProfiles._update(id, p => {
+      p.template = template || null;
+    });
+  }
+
+  // Make a version from history current again; the current one is archived
+  static rollback(id, version) {
+    return CalibrationProfiles._update(id, p => {
+      const entry = (p.history || []).find(h => h.version === version);
+      if (!entry) return;
+      p.history = p.history.filter(h => h !== entry);
+      CalibrationProfiles._archive(p);
+      p.calibration = entry.calibration;
+    });
+  }
+
+  // Versions that can be rolled back to, newest first
+  static history(id) {
+    const profile = CalibrationProfiles.get(id);
+    return profile ? [...(profile.history || [])].sort((a, b) => b.version - a.version) : [];
+  }
+
+  static _archive(p) {
+    if (!p.calibration) return;
+    // Calibrations saved before versioning count as version 0
+    const version = p.calibration.version ?? (p.version || 0);
+    const entry = { version, savedAt: p.calibration.timestamp, calibration: { ...p.calibration, version } };
+    p.history = [...(p.history || []).filter(h => h.version !== entry.version), entry]
+      .sort((a, b) => a.version - b.version)
+      .slice(-CALIB_HISTORY_LIMIT);
+  }
+
+  static remove(id) {
+    const store = CalibrationProfiles._read();
+    store.profiles = store.profiles.filter(p => p.id !== id);
+    if (store.selected === id) store.selected = null;
+    CalibrationProfiles._write(store);
+  }
+
+  // --- Export / import ---
+  static exportProfile(id) {
+    const profile = CalibrationProfiles.get(id);
+    if (!profile) return null;
+    return {
+      type: CALIB_PROFILE_FILE_TYPE,
+      formatVersion: CALIB_PROFILE_FORMAT_VERSION,
+      exportedAt: Date.now(),
+      profile: {
+        name: profile.name,
+        placement: profile.placement,
+        createdAt: profile.createdAt,
+        version: profile.version || 0,
+        calibration: profile.calibration,
+        history: profile.history || [],
+        template: profile.template || null,
+      },
+    };
+  }
+
+  // Imported profiles are added alongside existing ones (never merged into
+  // them) and selected; a clashing name gets a numeric suffix
+  static importProfile(data) {
+    const error = CalibrationProfiles.validateFile(data);
+    if (error) throw new Error(error);
+    const src = data.profile;
+    const label = (name) => CalibrationProfiles.label({ name, placement: String(src.placement || '').trim() });
+    const taken = new Set(CalibrationProfiles.list().map(p => CalibrationProfiles.label(p)));
+    let name = String(src.name).trim() || CALIB_DEFAULT_PROFILE_NAME;
+    for (let i = 2; taken.has(label(name)); i++) name = `${String(src.name).trim()} (${i})`;
+
+    const profile = CalibrationProfiles.create(name, src.placement);
+    return CalibrationProfiles._update(profile.id, p => {
+      p.createdAt = src.createdAt || p.createdAt;
+      p.calibration = src.calibration || null;
+      p.history = (src.history || []).slice(-CALIB_HISTORY_LIMIT);
+      p.template = src.template || null;
+      p.version = Math.max(src.version || 0, p.calibration ? p.calibration.version || 0 : 0,
+        ...p.history.map(h => h.version || 0));
+    });
+  }
+
+  static validateFile(data) {
+    if (!data || data.type !== CALIB_PROFILE_FILE_TYPE) return 'not a calibration profile file';
+    if (typeof data.formatVersion !== 'number') return 'missing formatVersion';
+    if (data.formatVersion > CALIB_PROFILE_FORMAT_VERSION) {
+      return `made by a newer version of the app (format ${data.formatVersion}, this one reads up to ${CALIB_PROFILE_FORMAT_VERSION})`;
+    }
+    const profile = data.profile;
+    if (!profile || typeof profile.name !== 'string') return 'profile needs a name';
+    if (profile.calibration) {
+      const error = CalibrationProfiles.validateCalibration(profile.calibration);
+      if (error) return error;
+    }
+    if (profile.history !== undefined) {
+      if (!Array.isArray(profile.history)) return 'profile.history must be a list';
+      for (const h of profile.history) {
+        const error = !h || typeof h.version !== 'number' ? 'history entries need a version'
+          : CalibrationProfiles.validateCalibration(h.calibration);
+        if (error) return `history: ${error}`;
+      }
+    }
+    if (profile.template) {
+      const error = ShotTemplate.validate(profile.template);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  // A calibration as MotionCalibrator.classify reads it (also checked before
+  // using one embedded in a session export)
+  static validateCalibration(cal) {
+    if (!cal || typeof cal.profiles !== 'object' || cal.profiles === null) return 'calibration has no activity profiles';
+    for (const label of CALIB_ACTIVITIES) {
+      const profile = cal.profiles[label];
+      if (profile === null || profile === undefined) continue;
+      for (const key of MOTION_FEATURE_KEYS) {
+        const stat = profile[key];
+        // Older calibrations may lack the gravity-aligned keys; classify skips them
+        if (stat === undefined) continue;
+        if (!stat || typeof stat.mean !== 'number' || typeof stat.std !== 'number' || !(stat.std >= 0)) {
+          return `calibration.profiles.${label}.${key} needs a numeric mean and std`;
+        }
+      }
+    }
+    return null;
+  }
+
+  // "Ana · Armband"
+  static label(profile) {
+    if (!profile) return '';
+    return profile.placement ? `${profile.name} · ${profile.placement}` : profile.name;
+  }
+
+  // What a session records about the profile it was recorded with
+  static summary(profile) {
+    if (!profile) return null;
+    return {
+      id: profile.id,
+      name: profile.name,
+      placement: profile.placement,
+      calibratedAt: profile.calibration ? profile.calibration.timestamp : null,
+      version: profile.calibration ? profile.calibration.version : null,
+    };
+  }
+
+  static _update(id, fn) {
+    const store = CalibrationProfiles._read();
+    const profile = store.profiles.find(p => p.id === id);
+    if (!profile) return null;
+    fn(profile);
+    CalibrationProfiles._write(store);
+    return profile;
+  }
+
+  static _read() {
+    let store = null;
+    try {
+      const raw = localStorage.getItem(CALIB_PROFILES_STORAGE_KEY);
+      store = raw ? JSON.parse(raw) : null;
+    } catch (e) { /* storage unavailable or corrupt */ }
+    if (store && Array.isArray(store.profiles)) return store;
+    return CalibrationProfiles._migrate();
+  }
+
+  // First run with profiles: the old single calibration becomes "Default"
+  static _migrate() {
+    const store = { selected: null, profiles: [] };
+    let legacy = null;
+    try {
+      const raw = localStorage.getItem(CALIB_STORAGE_KEY);
+      legacy = raw ? JSON.parse(raw) : null;
+    } catch (e) { /* storage unavailable or corrupt */ }
+    if (!legacy) return store;
+
+    const profile = {
+      id: 'prof_default',
+      name: CALIB_DEFAULT_PROFILE_NAME,
+      placement: '',
+      createdAt: legacy.timestamp || Date.now(),
+      calibration: { ...legacy, version: 1, source: 'motion-cal' },
+      version: 1,
+      history: [],
+      template: null,
+    };
+    store.profiles.push(profile);
+    store.selected = profile.id;
+    if (CalibrationProfiles._write(store)) {
+      try { localStorage.removeItem(CALIB_STORAGE_KEY); } catch (e) { /* storage unavailable */ }
+    }
+    return store;
+  }
+
+  static _write(store) {
+    try {
+      localStorage.setItem(CALIB_PROFILES_STORAGE_KEY, JSON.stringify(store));
+      return true;
+    } catch (e) { return false; } // quota exceeded, silently fail
+  }
+}
+
+
+// ===== Calibration Step Progress =====
+// Objective completion criteria for the guided motion calibration steps, so
+// each step can advance by itself. Strides and seconds come from the step
+// rhythm (CadenceEstimator) as samples arrive; running only counts time at
+// a running cadence, which walking rarely reaches. Shot patterns are
+// extractPatterns hits with a peak the shot detector could fire on.
+const CALIB_STEP_CRITERIA = {
+  walking:   { measure: 'strides',  target: 30, unit: 'strides' },
+  running:   { measure: 'seconds',  target: 20, unit: 's running', minStepsPerMin: 135 },
+  dribbling: { measure: 'seconds',  target: 20, unit: 's moving' },
+  shooting:  { measure: 'patterns', target: 5,  unit: 'shot patterns' },
+};
+const CALIB_STEP_MAX_GAP_MS = 200; // a longer sample gap only counts this much time
+
+class CalibrationStepProgress {
+  constructor(key, criteria = CALIB_STEP_CRITERIA[key]) {
+    this.key = key;
+    this.criteria = criteria;
+    this.cadence = new CadenceEstimator();
+    this.steps = 0;
+    this.rhythmMs = 0;
+    this.lastT = null;
+  }
+
+  // Streaming: feed every sample of the step
+  processSample(sample) {
+    this.cadence.processSample(sample.aMag, sample.t);
+    const spm = this.cadence.stepsPerMin;
+    if (this.lastT !== null && spm !== null && spm >= (this.criteria.minStepsPerMin || 0)) {
+      const dt = Math.min(sample.t - this.lastT, CALIB_STEP_MAX_GAP_MS);
+      this.rhythmMs += dt;
+      this.steps += dt * spm / 60000;
+    }
+    this.lastT = sample.t;
+  }
+
+  // → { value, target, fraction, done, text }. Shot patterns need the
+  // samples after their peak, so the step's samples are rescanned here:
+  // call at display rate, not per sample.
+  update(samples) {
+    const c = this.criteria;
+    let value;
+    if (c.measure === 'patterns') {
+      value = MotionCalibrator.extractPatterns(samples, this.key)
+        .filter(p => p.peakMag >= DETECTOR_DEFAULTS.minPeakAbs).length;
+    } else if (c.measure === 'strides') {
+      value = Math.floor(this.steps / 2);
+    } else {
+      value = Math.floor(this.rhythmMs / 1000);
+    }
+    return {
+      value,
+      target: c.target,
+      fraction: Math.min(1, value / c.target),
+      done: value >= c.target,
+      text: `${value} / ${c.target} ${c.unit}`,
+    };
+  }
+}
+
+
+// ===== Shot Type Classifier =====
+
+// Labels each shot as a jump shot, set shot / free throw, or layup / drive
+// from the calibrator's feature vector plus airtime and what the player was
+// doing just before the shot. Two scores in [0, 1]:
+//   drive — moving on the approach × sustained horizontal acceleration
+//   air   — how clearly the post-takeoff dip reads as flight
+// combine into layup = drive, jump = (1 − drive)·air, set = (1 − drive)·(1 − air),
+// which sum to 1 so the winning score doubles as the confidence.
+const SHOT_TYPES = ['jump', 'set', 'layup', 'unknown'];
+
+const SHOT_TYPE_LABELS = {
+  jump: 'Jump shot',
+  set: 'Set / FT',
+  layup: 'Layup / drive',
+  unknown: 'Unknown',
+};
+
+const SHOT_TYPE_PARAMS = {
+  preShotStartMs: 2000, // approach window [peak - start, peak - end), before
+  preShotEndMs: 500,    // the gather and takeoff mark the samples as moving
+  minAirtimeMs: 80,     // air score ramps 0 → 1 between these
+  fullAirtimeMs: 250,
+  driveHorizMin: 3.0,   // m/s² mean horizontal acceleration; drive score ramps
+  driveHorizFull: 6.0,  // 0 → 1 between these (set shots sit around 1-3)
+};
+
+class ShotTypeClassifier {
+  // --- Classifier inputs for the shot peaking at imuData[peakIdx] ---
+  static inputs(imuData, peakIdx, dipIdx, recIdx, airtimeMs, params = SHOT_TYPE_PARAMS) {
+    const timeAt = (j) => imuData[j].t || imuData[j].tRel || 0;
+    const tPeak = timeAt(peakIdx);
+
+    // Approach window: movement state, horizontal push and baseline level
+    let n = 0, moving = 0, horizSum = 0, magSum = 0;
+    for (let j = peakIdx - 1; j >= 0; j--) {
+      const dt = tPeak - timeAt(j);
+      if (dt < params.preShotEndMs) continue;
+      if (dt > params.preShotStartMs) break;
+      n++;
+      if (imuData[j].moving) moving++;
+      horizSum += imuData[j].aHoriz || 0;
+      magSum += imuData[j].aMag;
+    }
+
+    const features = MotionCalibrator._extractFeatures(imuData, peakIdx, dipIdx, recIdx, n ? magSum / n : STANDARD_GRAVITY);
+    const preHoriz = n ? horizSum / n : 0;
+    // Horizontal push on the approach and through the shot itself
+    const horiz = features && typeof features.horizMean === 'number'
+      ? (preHoriz + features.horizMean) / 2 : preHoriz;
+
+    return { airtimeMs: airtimeMs || 0, movingFrac: n ? moving / n : 0, preHoriz, horiz, features };
+  }
+
+  // --- Classify from inputs() → { type, confidence, scores, reason } ---
+  static classify(inputs, params = SHOT_TYPE_PARAMS) {
+    const ramp = (v, lo, hi) => Math.max(0, Math.min(1, (v - lo) / (hi - lo)));
+    const drive = inputs.movingFrac * ramp(inputs.horiz, params.driveHorizMin, params.driveHorizFull);
+    const air = ramp(inputs.airtimeMs, params.minAirtimeMs, params.fullAirtimeMs);
+
+    const scores = {
+      jump: (1 - drive) * air,
+      set: (1 - drive) * (1 - air),
+      layup: drive,
+    };
+    const type = Object.keys(scores).reduce((a, b) => (scores[b] > scores[a] ? b : a));
+
+    return {
+      type,
+      confidence: scores[type],
+      scores,
+      reason: `air ${Math.round(inputs.airtimeMs)}ms, moving ${Math.round(inputs.movingFrac * 100)}%, horiz ${inputs.horiz.toFixed(1)}`,
+    };
+  }
+
+  // --- Classify a shot known by its peak index (loaded or hand-added shots) ---
+  // Horizontal acceleration needs aHoriz: classifying many shots, annotate
+  // the recording once (GravityEstimator.annotated) and pass that in, along
+  // with its aMag series, rather than have each call copy it.
+  static classifyShot(imuData, shot, config = DETECTOR_DEFAULTS, aMags = null) {
+    if (!imuData[shot.idx]) {
+      return { type: 'unknown', confidence: 0, scores: null, reason: 'peak outside recording' };
+    }
+    imuData = GravityEstimator.annotated(imuData);
+    aMags = aMags || imuData.map(s => s.aMag);
+    const win = dipAndRecoveryAt(aMags, shot.idx, SampleRate.windowsFor(imuData, config));
+    const dipIdx = shot.dipIdx !== undefined ? shot.dipIdx : win ? win.dipIdx : shot.idx;
+    const recIdx = shot.recIdx !== undefined ? shot.recIdx : win ? win.recIdx : shot.idx;
+    const airtimeMs = typeof shot.airtimeMs === 'number'
+      ? shot.airtimeMs : jumpAtPeak(imuData, shot.idx, config, aMags).airtimeMs;
+    return ShotTypeClassifier.classify(ShotTypeClassifier.inputs(imuData, shot.idx, dipIdx, recIdx, airtimeMs));
+  }
+}
+
+
+// ===== Shot Model =====
+// Trainable shot / non-shot post-filter: logistic regression over the
+// calibrator's feature vector, trained on detector candidates from edited
+// sessions (see train_model.js). Serialized as plain JSON:
+//   { type: 'logistic', keys, mean, std, weights, bias, threshold, ... }
+const SHOT_MODEL_STORAGE_KEY = 'bball_shot_model';
+
+// Segment labels whose candidates are never shots
+const NON_SHOT_SEGMENTS = ['walking', 'jogging', 'dribble', 'stationary'];
+
+const SHOT_MODEL_DEFAULTS = {
+  epochs: 400,
+  learningRate: 0.1,
+  l2: 0.01,
+  threshold: 0.5,
+};
+
+class ShotModel {
+  // --- Labeled candidates from one session ---
+  // Candidates are every peak the detector traced as far as a dip. Labels:
+  //   inside a non-shot segment or at a shot deleted in the viewer → 0
+  //   matched one-to-one to a labeled shot → 1
+  //   other candidates in a fully labeled session → 0
+  // Candidates near a labeled shot but not matched to it (a second peak in
+  // the same motion) are left out rather than taught as negatives.
+  static examplesFromSession(data, opts = {}) {
+    const tolerance = opts.toleranceMs || EVAL_TOLERANCE_MS;
+    const truth = opts.truth !== undefined ? opts.truth : DetectionEval.groundTruth(data);
+    const imu = data.imu;
+    const detector = new ShotDetector(opts.config || data.detectorConfig || undefined);
+    const { candidates } = detector.explain(imu);
+    const aMags = imu.map(s => s.aMag);
+    const windows = SampleRate.windowsFor(imu, detector.config);
+
+    const negSegments = (data.segments || []).filter(seg => NON_SHOT_SEGMENTS.includes(seg.label));
+    const deletedIdx = (data.userEdits && data.userEdits.deletedShotIdx) || [];
+    const timeAt = (idx) => DetectionEval.sampleTime(imu, idx);
+
+    const usable = candidates.filter(c => c.dipIdx !== null);
+    const matched = new Set();
+    const nearTruth = new Set();
+    if (truth) {
+      const { matches } = DetectionEval.matchShots(truth, usable, tolerance);
+      for (const m of matches) matched.add(m.detected);
+      for (const c of usable) {
+        if (truth.some(s => Math.abs(c.t - s.t) <= tolerance)) nearTruth.add(c);
+      }
+    }
+
+    const examples = [];
+    for (const c of usable) {
+      let label = null;
+      if (negSegments.some(seg => c.idx >= seg.startIdx && c.idx <= seg.endIdx) ||
+          deletedIdx.some(idx => Math.abs(c.t - timeAt(idx)) <= tolerance)) {
+        label = 0;
+      } else if (matched.has(c)) {
+        label = 1;
+      } else if (truth && !nearTruth.has(c)) {
+        label = 0;
+      }
+      if (label === null) continue;
+
+      // Candidates rejected at the dip never got a recovery: search it the detector's way
+      let recIdx = c.recIdx;
+      if (recIdx === null) {
+        const recEnd = Math.min(aMags.length, c.dipIdx + windows.recoverySearchWindow);
+        if (c.dipIdx + 1 >= recEnd) continue;
+        recIdx = c.dipIdx + 1;
+        for (let j = c.dipIdx + 2; j < recEnd; j++) {
+          if (aMags[j] > aMags[recIdx]) recIdx = j;
+        }
+      }
+      const features = MotionCalibrator._extractFeatures(imu, c.idx, c.dipIdx, recIdx, c.baseline.mean);
+      if (features) examples.push({ idx: c.idx, label, features });
+    }
+    return examples;
+  }
+
+  // --- Fit on [{ features, label }] → serializable model ---
+  static train(examples, opts = {}) {
+    const o = { ...SHOT_MODEL_DEFAULTS, ...opts };
+    const keys = opts.keys || MOTION_FEATURE_KEYS;
+
+    // Standardize each feature; missing values (no aVert) sit at the mean
+    const mean = [];
+    const std = [];
+    for (const key of keys) {
+      const vals = examples.map(e => e.features[key]).filter(v => typeof v === 'number' && !isNaN(v));
+      const m = vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : 0;
+      const sd = vals.length ? Math.sqrt(vals.reduce((a, v) => a + (v - m) ** 2, 0) / vals.length) : 0;
+      mean.push(m);
+      std.push(sd > 0 ? sd : 1);
+    }
+    const model = { type: 'logistic', keys, mean, std, weights: keys.map(() => 0), bias: 0, threshold: o.threshold };
+    const X = examples.map(e => ShotModel._vector(model, e.features));
+    const y = examples.map(e => e.label);
+
+    // Shots are rare next to walking/dribbling peaks: weight the classes
+    // equally so the model can't win by calling everything a non-shot
+    const pos = y.filter(v => v === 1).length;
+    const neg = y.length - pos;
+    const classWeight = [neg ? y.length / (2 * neg) : 0, pos ? y.length / (2 * pos) : 0];
+
+    // Full-batch gradient descent on weighted log-loss with L2
+    const n = X.length;
+    for (let epoch = 0; n > 0 && epoch < o.epochs; epoch++) {
+      const grad = keys.map(() => 0);
+      let gradBias = 0;
+      for (let k = 0; k < n; k++) {
+        const err = (ShotModel._sigmoid(ShotModel._dot(model, X[k])) - y[k]) * classWeight[y[k]];
+        for (let f = 0; f < keys.length; f++) grad[f] += err * X[k][f];
+        gradBias += err;
+      }
+      for (let f = 0; f < keys.length; f++) {
+        model.weights[f] -= o.learningRate * (grad[f] / n + o.l2 * model.weights[f]);
+      }
+      model.bias -= o.learningRate * gradBias / n;
+    }
+
+    model.trainedAt = Date.now();
+    model.examples = { positive: pos, negative: neg };
+    return model;
+  }
+
+  // --- Probability that a feature vector is a shot ---
+  static predict(model, features) {
+    return ShotModel._sigmoid(ShotModel._dot(model, ShotModel._vector(model, features)));
+  }
+
+  // --- Stratified k-fold cross-validation → accuracy, precision, recall ---
+  static crossValidate(examples, folds = 5, opts = {}) {
+    // Deal positives and negatives round-robin so every fold sees both
+    const fold = new Map();
+    for (const label of [0, 1]) {
+      examples.filter(e => e.label === label).forEach((e, i) => fold.set(e, i % folds));
+    }
+
+    let tp = 0, fp = 0, tn = 0, fn = 0;
+    for (let f = 0; f < folds; f++) {
+      const train = examples.filter(e => fold.get(e) !== f);
+      const test = examples.filter(e => fold.get(e) === f);
+      if (!test.length || !train.length) continue;
+      const model = ShotModel.train(train, opts);
+      for (const e of test) {
+        const isShot = ShotModel.predict(model, e.features) >= model.threshold;
+        if (isShot && e.label === 1) tp++;
+        else if (isShot) fp++;
+        else if (e.label === 1) fn++;
+        else tn++;
+      }
+    }
+    const total = tp + fp + tn + fn;
+    return { folds, accuracy: total ? (tp + tn) / total : null, tn, ...DetectionEval.score(tp, fp, fn) };
+  }
+
+  // --- Structural check for imported models; returns an error or null ---
+  static validate(model) {
+    if (!model || model.type !== 'logistic') return 'not a logistic shot model';
+    const n = Array.isArray(model.keys) ? model.keys.length : -1;
+    if (n <= 0) return 'model has no feature keys';
+    for (const field of ['mean', 'std', 'weights']) {
+      if (!Array.isArray(model[field]) || model[field].length !== n || model[field].some(v => typeof v !== 'number')) {
+        return `model.${field} must hold ${n} numbers`;
+      }
+    }
+    if (typeof model.bias !== 'number' || typeof model.threshold !== 'number') return 'model needs numeric bias and threshold';
+    return null;
+  }
+
+  static _vector(model, features) {
+    return model.keys.map((key, f) => {
+      const v = features[key];
+      return typeof v === 'number' && !isNaN(v) ? (v - model.mean[f]) / model.std[f] : 0;
+    });
+  }
+
+  static _dot(model, x) {
+    let z = model.bias;
+    for (let f = 0; f < x.length; f++) z += model.weights[f] * x[f];
+    return z;
+  }
+
+  static _sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+  }
+
   // --- localStorage persistence ---
-  static save(cal) {
+  static save(model) {
     try {
-      localStorage.setItem(CALIB_STORAGE_KEY, JSON.stringify(cal));
+      localStorage.setItem(SHOT_MODEL_STORAGE_KEY, JSON.stringify(model));
     } catch (e) { /* quota exceeded, silently fail */ }
   }
 
   static load() {
     try {
-      const raw = localStorage.getItem(CALIB_STORAGE_KEY);
-      return raw ? JSON.parse(raw) : null;
+      const raw = localStorage.getItem(SHOT_MODEL_STORAGE_KEY);
+      const model = raw ? JSON.parse(raw) : null;
+      return model && !ShotModel.validate(model) ? model : null;
     } catch (e) { return null; }
   }
 
   static clear() {
-    localStorage.removeItem(CALIB_STORAGE_KEY);
+    localStorage.removeItem(SHOT_MODEL_STORAGE_KEY);
   }
+}
 
-  static hasCalibration() {
-    return MotionCalibrator.load() !== null;
+
+// ===== Shot Template =====
+// Template matching against a player's own shots: the aMag and gyro-magnitude
+// waveforms around confirmed shot peaks are resampled onto a common time grid
+// and averaged, and candidates are scored by dynamic time warping distance to
+// that average. Serialized as plain JSON:
+//   { type: 'dtw', preMs, postMs, points, band, gyroWeight, scale, mean, threshold, ... }
+// Each calibration profile keeps its own (profile.template); this key is
+// where a single global template used to be stored.
+const SHOT_TEMPLATE_STORAGE_KEY = 'bball_shot_template';
+
+const SHOT_TEMPLATE_PARAMS = {
+  preMs: 500,          // window before the peak (gather and release)
+  postMs: 800,         // after it (landing and follow-through)
+  points: 48,          // resampled length per channel
+  band: 0.15,          // Sakoe-Chiba warping band, fraction of points
+  gyroWeight: 1,       // gyro channel weight against aMag
+  thresholdSigma: 3,   // accept up to mean + n·std of held-out shot distances
+  minShots: 3,
+};
+
+class ShotTemplate {
+  // --- Resampled [aMag[], gyroMag[]] around a peak, or null if the
+  // recording doesn't cover the whole window ---
+  static window(samples, peakIdx, params = SHOT_TEMPLATE_PARAMS) {
+    const timeAt = (j) => samples[j].t || samples[j].tRel || 0;
+    const gyroMag = (s) => Math.sqrt((s.gx || 0) ** 2 + (s.gy || 0) ** 2 + (s.gz || 0) ** 2);
+    const t0 = timeAt(peakIdx) - params.preMs;
+    const t1 = timeAt(peakIdx) + params.postMs;
+    let lo = peakIdx;
+    while (lo > 0 && timeAt(lo) > t0) lo--;
+    let hi = peakIdx;
+    while (hi < samples.length - 1 && timeAt(hi) < t1) hi++;
+    if (timeAt(lo) > t0 || timeAt(hi) < t1 || hi === lo) return null;
+
+    const acc = [];
+    const gyro = [];
+    let j = lo;
+    for (let k = 0; k < params.points; k++) {
+      const t = t0 + (t1 - t0) * k / (params.points - 1);
+      while (j < hi - 1 && timeAt(j + 1) <= t) j++;
+      const ta = timeAt(j);
+      const tb = timeAt(j + 1);
+      const f = tb > ta ? Math.min(1, Math.max(0, (t - ta) / (tb - ta))) : 0;
+      acc.push(samples[j].aMag + (samples[j + 1].aMag - samples[j].aMag) * f);
+      gyro.push(gyroMag(samples[j]) + (gyroMag(samples[j + 1]) - gyroMag(samples[j])) * f);
+    }
+    return [acc, gyro];
+  }
+
+  // --- Average the windows around the given shot peaks → template, or null
+  // with fewer than params.minShots usable shots ---
+  static build(imuData, peakIdxs, opts = {}) {
+    const params = { ...SHOT_TEMPLATE_PARAMS, ...opts };
+    const windows = peakIdxs.map(idx => ShotTemplate.window(imuData, idx, params)).filter(Boolean);
+    if (windows.length < params.minShots) return null;
+
+    const template = ShotTemplate._average(windows, params);
+    // Threshold from leave-one-out distances: each shot against the average
+    // of the others, since a shot always sits close to an average it is part of
+    const held = windows.map((w, k) =>
+      ShotTemplate.distance(ShotTemplate._average(windows.filter((_, o) => o !== k), params), w));
+    const mean = held.reduce((a, b) => a + b, 0) / held.length;
+    const std = Math.sqrt(held.reduce((a, d) => a + (d - mean) ** 2, 0) / held.length);
+    template.threshold = mean + params.thresholdSigma * std;
+    template.distances = { mean, std, max: Math.max(...held) };
+    template.createdAt = Date.now();
+    return template;
+  }
+
+  // --- Template from the shooting step of motion calibration: the detector's
+  // shots in the recording, or the calibrator's looser peaks if too few ---
+  static fromCalibration(shootingIMU, opts = {}) {
+    if (shootingIMU.length < 60) return null;
+    const minShots = opts.minShots || SHOT_TEMPLATE_PARAMS.minShots;
+    let peaks = new ShotDetector().detectAll(shootingIMU).map(s => s.idx);
+    if (peaks.length < minShots) {
+      peaks = MotionCalibrator.extractPatterns(shootingIMU, 'shooting').map(p => p.idx);
+    }
+    return ShotTemplate.build(shootingIMU, peaks, opts);
+  }
+
+  static _average(windows, params) {
+    const channels = windows[0].length;
+    // Per-channel scale so aMag (m/s²) and gyro (rad/s) weigh comparably
+    const scale = [];
+    const mean = [];
+    for (let c = 0; c < channels; c++) {
+      const all = windows.flatMap(w => w[c]);
+      const m = all.reduce((a, b) => a + b, 0) / all.length;
+      scale.push(Math.sqrt(all.reduce((a, v) => a + (v - m) ** 2, 0) / all.length) || 1);
+      mean.push(windows[0][c].map((_, k) => windows.reduce((a, w) => a + w[c][k], 0) / windows.length));
+    }
+    return {
+      type: 'dtw',
+      preMs: params.preMs,
+      postMs: params.postMs,
+      points: params.points,
+      band: params.band,
+      gyroWeight: params.gyroWeight,
+      scale,
+      mean,
+      count: windows.length,
+    };
+  }
+
+  // --- DTW distance between the template and a window, per aligned point ---
+  static distance(template, window) {
+    const a = template.mean;
+    const n = a[0].length;
+    const m = window[0].length;
+    const weights = [1, template.gyroWeight];
+    const band = Math.max(Math.round(template.band * n), Math.abs(n - m));
+    const cost = (i, j) => {
+      let sum = 0;
+      for (let c = 0; c < a.length; c++) {
+        sum += weights[c] * ((a[c][i] - window[c][j]) / template.scale[c]) ** 2;
+      }
+      return Math.sqrt(sum);
+    };
+
+    let prev = new Array(m + 1).fill(Infinity);
+    prev[0] = 0;
+    for (let i = 1; i <= n; i++) {
+      const cur = new Array(m + 1).fill(Infinity);
+      for (let j = Math.max(1, i - band); j <= Math.min(m, i + band); j++) {
+        cur[j] = cost(i - 1, j - 1) + Math.min(prev[j], cur[j - 1], prev[j - 1]);
+      }
+      prev = cur;
+    }
+    return prev[m] / (n + m);
+  }
+
+  // --- Score the candidate peak at peakIdx; null when the window is incomplete ---
+  static match(template, samples, peakIdx) {
+    const window = ShotTemplate.window(samples, peakIdx, template);
+    if (!window) return null;
+    const distance = ShotTemplate.distance(template, window);
+    return { distance, threshold: template.threshold, isShot: distance <= template.threshold };
+  }
+
+  // --- Structural check for stored/imported templates; returns an error or null ---
+  static validate(template) {
+    if (!template || template.type !== 'dtw') return 'not a DTW shot template';
+    for (const key of ['preMs', 'postMs', 'points', 'band', 'gyroWeight', 'threshold']) {
+      if (typeof template[key] !== 'number') return `template.${key} must be a number`;
+    }
+    if (!Array.isArray(template.mean) || template.mean.length !== 2 ||
+        template.mean.some(ch => !Array.isArray(ch) || ch.length !== template.points)) {
+      return `template.mean must hold 2 channels of ${template.points} points`;
+    }
+    if (!Array.isArray(template.scale) || template.scale.length !== 2) return 'template.scale must hold 2 numbers';
+    return null;
+  }
+
+  // --- Persistence: the selected calibration profile ---
+  static save(template) {
+    const profile = CalibrationProfiles.selected() || CalibrationProfiles.create(CALIB_DEFAULT_PROFILE_NAME, '');
+    CalibrationProfiles.setTemplate(profile.id, template);
+  }
+
+  static load() {
+    ShotTemplate._migrate();
+    const profile = CalibrationProfiles.selected();
+    const template = profile ? profile.template : null;
+    return template && !ShotTemplate.validate(template) ? template : null;
+  }
+
+  static clear() {
+    const profile = CalibrationProfiles.selected();
+    if (profile) CalibrationProfiles.setTemplate(profile.id, null);
+  }
+
+  // A template from before profiles kept their own goes to the selected
+  // profile, unless that one already has a template
+  static _migrate() {
+    let legacy = null;
+    try {
+      const raw = localStorage.getItem(SHOT_TEMPLATE_STORAGE_KEY);
+      legacy = raw ? JSON.parse(raw) : null;
+    } catch (e) { /* storage unavailable or corrupt */ }
+    if (!legacy) return;
+    const profile = CalibrationProfiles.selected();
+    if (!profile) return;
+    if (!profile.template && !ShotTemplate.validate(legacy)) CalibrationProfiles.setTemplate(profile.id, legacy);
+    try { localStorage.removeItem(SHOT_TEMPLATE_STORAGE_KEY); } catch (e) { /* storage unavailable */ }
   }
 }
 
 
 // ===== Multi-Detector Consensus System =====
 
+// Voters are registered by name (see the registry below). Each votes on a
+// candidate; the decision is the weighted share of yes votes against a
+// threshold, so with the four default voters at weight 1 the default
+// threshold of 0.75 is the old "3 of 4 must agree".
+const CONSENSUS_THRESHOLD = 0.75;
+
+// Default voter windows in ms: the sample counts the voters were tuned with,
+// at the original 17 ms sample interval. Each voter converts them at the rate
+// it is given (opts.sampleMs), so a 100 Hz recording looks at the same time span.
+const CONSENSUS_WINDOWS_MS = {
+  sigma: 3400,           // windowSigma window (200 samples), min slice 680
+  envelopeShort: 850,    // envelopeRatio short window (50), min 170
+  envelopeLong: 3400,    // envelopeRatio baseline window (200), min 340
+  prominence: 1700,      // peakProminence neighborhood each side (100)
+  spectral: 1088,        // spectralEnergy DFT window (64)
+  gyroBase: 1360,        // gyroSpike baseline window (80)
+  gyroBaseOffset: 340,   // gyroSpike baseline end before the peak (20)
+  gyroMargin: 85,        // gyroSpike search margin around peak..recovery (5)
+};
+
 class ShotDetectorConsensus {
   // Multiple detection methods that each vote on whether a candidate is a shot.
   // Each returns { vote: true/false, confidence: 0-1, name, detail }
 
   // Method 1: Window σ — large rolling window std deviation spike
-  // Looks for the std of a 200-sample window to exceed threshold
+  // Looks for the peak to stand out of a 3.4 s window by more than sigma
   static windowSigma(aMags, peakIdx, opts = {}) {
-    const windowSize = opts.windowSize || 200;
+    const sampleMs = opts.sampleMs || LEGACY_SAMPLE_MS;
+    const windowMs = opts.windowMs || CONSENSUS_WINDOWS_MS.sigma;
+    const windowSize = SampleRate.count(windowMs, sampleMs);
     const sigma = opts.sigma || 4.0;
 
     const halfW = Math.floor(windowSize / 2);
     const start = Math.max(0, peakIdx - halfW);
     const end = Math.min(aMags.length, peakIdx + halfW);
     const slice = aMags.slice(start, end);
-    if (slice.length < 40) return { vote: false, confidence: 0, name: 'Window-σ', detail: 'too few samples' };
+    if (slice.length < SampleRate.count(windowMs / 5, sampleMs)) {
+      return { vote: false, confidence: 0, name: 'Window-σ', detail: 'too few samples' };
+    }
 
     const mean = slice.reduce((a, b) => a + b, 0) / slice.length;
     const variance = slice.reduce((a, v) => a + (v - mean) ** 2, 0) / slice.length;
@@ -893,29 +2933,36 @@ class ShotDetectorConsensus {
     return {
       vote: pass,
       confidence: Math.min(1, zScore / (sigma + 2)),
-      name: `Window-${windowSize}σ`,
+      name: `Window-${windowMs}ms-σ`,
       detail: `z=${zScore.toFixed(1)} (thresh=${sigma.toFixed(1)})`,
     };
   }
 
   // Method 2: Envelope ratio — compare short window around peak to longer baseline
-  // peak_env (50 samples) vs baseline_env (200 samples) ratio
+  // peak_env (850 ms) vs baseline_env (3.4 s) ratio
   static envelopeRatio(aMags, peakIdx, opts = {}) {
-    const shortW = opts.shortWindow || 50;
-    const longW = opts.longWindow || 200;
+    const sampleMs = opts.sampleMs || LEGACY_SAMPLE_MS;
+    const shortMs = opts.shortWindowMs || CONSENSUS_WINDOWS_MS.envelopeShort;
+    const longMs = opts.longWindowMs || CONSENSUS_WINDOWS_MS.envelopeLong;
+    const shortW = SampleRate.count(shortMs, sampleMs);
+    const longW = SampleRate.count(longMs, sampleMs);
     const sigma = opts.sigma || 4.0;
 
     // Short window centered on peak
     const sStart = Math.max(0, peakIdx - Math.floor(shortW / 2));
     const sEnd = Math.min(aMags.length, sStart + shortW);
     const shortSlice = aMags.slice(sStart, sEnd);
-    if (shortSlice.length < 10) return { vote: false, confidence: 0, name: 'Envelope', detail: 'too few short' };
+    if (shortSlice.length < SampleRate.count(shortMs / 5, sampleMs)) {
+      return { vote: false, confidence: 0, name: 'Envelope', detail: 'too few short' };
+    }
 
     // Long window before peak (baseline)
     const lEnd = Math.max(0, peakIdx - Math.floor(shortW / 2));
     const lStart = Math.max(0, lEnd - longW);
     const longSlice = aMags.slice(lStart, lEnd);
-    if (longSlice.length < 20) return { vote: false, confidence: 0, name: 'Envelope', detail: 'too few long' };
+    if (longSlice.length < SampleRate.count(longMs / 10, sampleMs)) {
+      return { vote: false, confidence: 0, name: 'Envelope', detail: 'too few long' };
+    }
 
     const shortMax = Math.max(...shortSlice);
     const shortMin = Math.min(...shortSlice);
@@ -931,7 +2978,7 @@ class ShotDetectorConsensus {
     return {
       vote: pass,
       confidence: Math.min(1, ratio / (sigma + 3)),
-      name: `Envelope-${shortW}v${longW}`,
+      name: `Envelope-${shortMs}v${longMs}ms`,
       detail: `ratio=${ratio.toFixed(1)} (thresh=${sigma.toFixed(1)})`,
     };
   }
@@ -953,7 +3000,8 @@ class ShotDetectorConsensus {
 
   // Method 4: Peak prominence — peak must stand out from local neighborhood
   static peakProminence(aMags, peakIdx, opts = {}) {
-    const neighborhoodSize = opts.neighborhood || 100;
+    const neighborhoodSize = SampleRate.count(opts.neighborhoodMs || CONSENSUS_WINDOWS_MS.prominence,
+      opts.sampleMs || LEGACY_SAMPLE_MS);
     const minProminence = opts.minProminence || 5.0;
 
     const start = Math.max(0, peakIdx - neighborhoodSize);
@@ -981,29 +3029,361 @@ class ShotDetectorConsensus {
     };
   }
 
-  // --- Run all detectors and produce consensus ---
-  static evaluate(aMags, peakIdx, dipIdx, recIdx, opts = {}) {
-    const methods = [
-      ShotDetectorConsensus.windowSigma(aMags, peakIdx, opts.windowSigma),
-      ShotDetectorConsensus.envelopeRatio(aMags, peakIdx, opts.envelopeRatio),
-      ShotDetectorConsensus.dipDepth(aMags, peakIdx, dipIdx, opts.dipDepth),
-      ShotDetectorConsensus.peakProminence(aMags, peakIdx, opts.peakProminence),
-    ];
+  // Method 5: Spectral energy — share of the window's energy in the shot band.
+  // A shot is one slow gather-jump-land swing (≈0.5-3 Hz); walking and
+  // running put most of theirs in the sharper foot strikes above it.
+  static spectralEnergy(aMags, peakIdx, opts = {}, samples = null) {
+    const sampleMs = opts.sampleMs || LEGACY_SAMPLE_MS;
+    const N = SampleRate.count(opts.windowMs || CONSENSUS_WINDOWS_MS.spectral, sampleMs);
+    const [lowHz, highHz] = opts.bandHz || [0.5, 3.0];
+    const minFraction = opts.minFraction || 0.6;
+
+    const start = Math.max(0, Math.min(peakIdx - Math.floor(N / 2), aMags.length - N));
+    const x = aMags.slice(start, start + N);
+    if (x.length < N) return { vote: false, confidence: 0, name: 'Spectral', detail: 'too few samples' };
+
+    // Sample rate from the timestamps when we have them
+    let rateHz = 1000 / sampleMs;
+    if (samples && samples[start] && samples[start + N - 1]) {
+      const span = (samples[start + N - 1].t || samples[start + N - 1].tRel) - (samples[start].t || samples[start].tRel);
+      if (span > 0) rateHz = (N - 1) * 1000 / span;
+    }
+
+    // Hann-windowed DFT of the detrended window, DC excluded
+    const mean = x.reduce((a, b) => a + b, 0) / N;
+    let total = 0;
+    let band = 0;
+    for (let k = 1; k < N / 2; k++) {
+      let re = 0;
+      let im = 0;
+      for (let n = 0; n < N; n++) {
+        const v = (x[n] - mean) * (0.5 - 0.5 * Math.cos(2 * Math.PI * n / (N - 1)));
+        re += v * Math.cos(2 * Math.PI * k * n / N);
+        im -= v * Math.sin(2 * Math.PI * k * n / N);
+      }
+      const power = re * re + im * im;
+      const hz = k * rateHz / N;
+      total += power;
+      if (hz >= lowHz && hz <= highHz) band += power;
+    }
+    const fraction = total > 0 ? band / total : 0;
+
+    return {
+      vote: fraction >= minFraction,
+      confidence: Math.min(1, fraction),
+      name: 'Spectral',
+      detail: `band=${(fraction * 100).toFixed(0)}% ${lowHz}-${highHz}Hz (thresh=${(minFraction * 100).toFixed(0)}%)`,
+    };
+  }
+
+  // Method 6: Off-beat — votes no when the peak lands on the step rhythm of
+  // the seconds before it (the soft version of the detector's cadence filter)
+  static offBeat(aMags, peakIdx, opts = {}, samples = null) {
+    const minCorr = opts.minCorr || CADENCE_MIN_CORR;
+    const tolerance = opts.phaseTolerance || 0.12;
+    if (!samples) return { vote: false, confidence: 0, name: 'OffBeat', detail: 'no timestamps' };
+
+    const cadence = CadenceEstimator.atPeak(aMags, (j) => samples[j].t || samples[j].tRel || 0, peakIdx);
+    if (!cadence || cadence.corr < minCorr) {
+      return { vote: true, confidence: 1, name: 'OffBeat', detail: 'no step rhythm' };
+    }
+    return {
+      vote: cadence.phase >= tolerance,
+      confidence: Math.min(1, cadence.phase / 0.5),
+      name: 'OffBeat',
+      detail: `${Math.round(cadence.stepsPerMin)}/min r=${cadence.corr.toFixed(2)} phase=${cadence.phase.toFixed(2)} (thresh=${tolerance})`,
+    };
+  }
+
+  // Method 7: Gyro spike — rotation around the shot against the rotation
+  // just before it. Steady walking rotates the phone every step, so only a
+  // spike well above that rhythm counts.
+  static gyroSpike(aMags, peakIdx, recIdx, opts = {}, samples = null) {
+    const minZ = opts.minZ || 5.0;
+    const minGyro = opts.minGyro || 1.5; // rad/s
+    const sampleMs = opts.sampleMs || LEGACY_SAMPLE_MS;
+    const baseWindow = SampleRate.count(opts.baseWindowMs || CONSENSUS_WINDOWS_MS.gyroBase, sampleMs);
+    const baseOffset = SampleRate.count(opts.baseOffsetMs || CONSENSUS_WINDOWS_MS.gyroBaseOffset, sampleMs);
+    const margin = SampleRate.count(CONSENSUS_WINDOWS_MS.gyroMargin, sampleMs);
+    if (!samples) return { vote: false, confidence: 0, name: 'GyroSpike', detail: 'no gyro data' };
+
+    const gyroMag = (s) => Math.sqrt((s.gx || 0) ** 2 + (s.gy || 0) ** 2 + (s.gz || 0) ** 2);
+    let spike = 0;
+    for (let j = Math.max(0, peakIdx - margin); j <= Math.min(samples.length - 1, recIdx + margin); j++) {
+      spike = Math.max(spike, gyroMag(samples[j]));
+    }
+    const baseEnd = Math.max(0, peakIdx - baseOffset);
+    const base = samples.slice(Math.max(0, baseEnd - baseWindow), baseEnd).map(gyroMag);
+    if (base.length < SampleRate.count(CONSENSUS_WINDOWS_MS.gyroBase / 8, sampleMs)) {
+      return { vote: false, confidence: 0, name: 'GyroSpike', detail: 'too few samples' };
+    }
+
+    const mean = base.reduce((a, b) => a + b, 0) / base.length;
+    const std = Math.sqrt(base.reduce((a, v) => a + (v - mean) ** 2, 0) / base.length);
+    const z = (spike - mean) / (std || 1);
+
+    return {
+      vote: z >= minZ && spike >= minGyro,
+      confidence: Math.min(1, Math.max(0, z / (minZ * 2))),
+      name: 'GyroSpike',
+      detail: `gyro=${spike.toFixed(1)} z=${z.toFixed(1)} (thresh=${minZ.toFixed(1)})`,
+    };
+  }
+
+  // Method 8: Template — DTW distance to the player's averaged shot waveform
+  // (ShotTemplate), passed in as opts.template
+  static shotTemplate(aMags, peakIdx, opts = {}, samples = null) {
+    if (!opts.template) return { vote: false, confidence: 0, name: 'Template', detail: 'no template' };
+    if (!samples) return { vote: false, confidence: 0, name: 'Template', detail: 'no samples' };
+    const match = ShotTemplate.match(opts.template, samples, peakIdx);
+    if (!match) return { vote: false, confidence: 0, name: 'Template', detail: 'window incomplete' };
+    return {
+      vote: match.isShot,
+      confidence: Math.min(1, Math.max(0, 1 - match.distance / (2 * match.threshold))),
+      name: 'Template',
+      detail: `dtw=${match.distance.toFixed(2)} (thresh=${match.threshold.toFixed(2)})`,
+    };
+  }
+
+  // --- Registry ---
+  // fn(ctx, opts) → { vote, confidence, name, detail }, where ctx is
+  // { aMags, peakIdx, dipIdx, recIdx, samples, sampleMs } and opts carries
+  // sampleMs too, for voters with windows in ms. reach(opts) → { beforeMs,
+  // afterMs, afterRecoveryMs } is how far the voter reads around the peak
+  // (and past the recovery peak), for a streaming detector that keeps only
+  // that much; voters without one read no further than the dip and
+  // recovery. shortName labels the voter's vote in the tracker's shot log
+  // (default: the name its result carries). Registering an existing name
+  // replaces it.
+  static register(name, fn, { weight = 1, opts = {}, enabled = true, reach = null, shortName = null } = {}) {
+    CONSENSUS_VOTERS.set(name, { fn, weight, opts, enabled, reach, shortName });
+  }
+
+  static unregister(name) {
+    return CONSENSUS_VOTERS.delete(name);
+  }
+
+  // Change a registered voter's weight, default options or enabled flag
+  static configure(name, changes) {
+    const voter = CONSENSUS_VOTERS.get(name);
+    if (!voter) return false;
+    if (typeof changes.weight === 'number') voter.weight = changes.weight;
+    if (typeof changes.enabled === 'boolean') voter.enabled = changes.enabled;
+    if (changes.opts) voter.opts = { ...voter.opts, ...changes.opts };
+    return true;
+  }
 
+  static list() {
+    return [...CONSENSUS_VOTERS].map(([name, v]) => ({ name, weight: v.weight, enabled: v.enabled, opts: { ...v.opts } }));
+  }
+
+  // Voters evaluate() runs for these opts
+  static _names(opts) {
+    return opts.methods || [...CONSENSUS_VOTERS.keys()].filter(n => CONSENSUS_VOTERS.get(n).enabled);
+  }
+
+  // Options one voter runs with: its registered defaults, then the caller's
+  // flat options (opts.sigma reaches every voter that reads a sigma), then
+  // the caller's options under the voter's name
+  static _voterOpts(name, voter, opts) {
+    const flat = {};
+    for (const [key, value] of Object.entries(opts)) {
+      if (!CONSENSUS_CONTROL_KEYS.includes(key) && !CONSENSUS_VOTERS.has(key)) flat[key] = value;
+    }
+    return { ...voter.opts, ...flat, ...opts[name] };
+  }
+
+  // --- Farthest the voters evaluate() runs for these opts read around the
+  // peak → { beforeMs, afterMs, afterRecoveryMs } ---
+  static reach(opts = {}) {
+    const total = { beforeMs: 0, afterMs: 0, afterRecoveryMs: 0 };
+    for (const name of ShotDetectorConsensus._names(opts)) {
+      const voter = CONSENSUS_VOTERS.get(name);
+      if (!voter || !voter.reach) continue;
+      const reach = voter.reach(ShotDetectorConsensus._voterOpts(name, voter, opts));
+      for (const key of Object.keys(total)) total[key] = Math.max(total[key], reach[key] || 0);
+    }
+    return total;
+  }
+
+  // --- Run the voters and produce consensus ---
+  // opts: per-voter option overrides by name (e.g. opts.dipDepth), flat
+  // options for every voter (e.g. opts.sigma), plus
+  //   methods   — names to run instead of the enabled voters
+  //   weights   — per-name weight overrides
+  //   threshold — weighted yes share needed (default CONSENSUS_THRESHOLD)
+  //   minVotes  — legacy vote count, read as minVotes / voters run
+  //   sampleMs  — sample interval for the voters' ms windows (default: measured
+  //               from the samples' timestamps, else LEGACY_SAMPLE_MS)
+  static evaluate(aMags, peakIdx, dipIdx, recIdx, opts = {}, samples = null) {
+    const names = ShotDetectorConsensus._names(opts);
+    const sampleMs = opts.sampleMs || (samples && SampleRate.intervalMs(samples)) || LEGACY_SAMPLE_MS;
+    const ctx = { aMags, peakIdx, dipIdx, recIdx, samples, sampleMs };
+
+    const methods = [];
+    for (const name of names) {
+      const voter = CONSENSUS_VOTERS.get(name);
+      if (!voter) continue;
+      const weight = opts.weights && typeof opts.weights[name] === 'number' ? opts.weights[name] : voter.weight;
+      const result = voter.fn(ctx, { sampleMs, ...ShotDetectorConsensus._voterOpts(name, voter, opts) });
+      methods.push({ ...result, key: name, shortName: voter.shortName || result.name, weight });
+    }
+
+    const totalWeight = methods.reduce((a, m) => a + m.weight, 0);
+    const yesWeight = methods.reduce((a, m) => a + (m.vote ? m.weight : 0), 0);
+    for (const m of methods) {
+      // Share of the decision this voter carried (0 when it voted no)
+      m.contribution = totalWeight > 0 && m.vote ? m.weight / totalWeight : 0;
+    }
+    const score = totalWeight > 0 ? yesWeight / totalWeight : 0;
     const votes = methods.filter(m => m.vote).length;
     const total = methods.length;
-    const minVotes = opts.minVotes || 3; // default: need 3 of 4 to agree
+    const threshold = typeof opts.threshold === 'number' ? opts.threshold
+      : opts.minVotes && total ? opts.minVotes / total : CONSENSUS_THRESHOLD;
 
     return {
-      isShot: votes >= minVotes,
+      isShot: total > 0 && score >= threshold,
       votes,
       total,
-      confidence: votes / total,
+      score,
+      threshold,
+      confidence: score,
       methods,
     };
   }
 }
 
+// name → { fn, weight, opts, enabled, reach, shortName }, in evaluation order
+const CONSENSUS_VOTERS = new Map();
+// evaluate() options that are not passed on to the voters
+const CONSENSUS_CONTROL_KEYS = ['methods', 'weights', 'threshold', 'minVotes', 'sampleMs'];
+
+ShotDetectorConsensus.register('windowSigma',
+  (c, o) => ShotDetectorConsensus.windowSigma(c.aMags, c.peakIdx, o),
+  { shortName: 'Win', reach: (o) => ({ beforeMs: (o.windowMs || CONSENSUS_WINDOWS_MS.sigma) / 2, afterMs: (o.windowMs || CONSENSUS_WINDOWS_MS.sigma) / 2 }) });
+ShotDetectorConsensus.register('envelopeRatio',
+  (c, o) => ShotDetectorConsensus.envelopeRatio(c.aMags, c.peakIdx, o),
+  { shortName: 'Env', reach: (o) => {
+    const half = (o.shortWindowMs || CONSENSUS_WINDOWS_MS.envelopeShort) / 2;
+    return { beforeMs: half + (o.longWindowMs || CONSENSUS_WINDOWS_MS.envelopeLong), afterMs: half };
+  } });
+ShotDetectorConsensus.register('dipDepth',
+  (c, o) => ShotDetectorConsensus.dipDepth(c.aMags, c.peakIdx, c.dipIdx, o), { shortName: 'Dip' });
+ShotDetectorConsensus.register('peakProminence',
+  (c, o) => ShotDetectorConsensus.peakProminence(c.aMags, c.peakIdx, o),
+  { shortName: 'Prom', reach: (o) => ({ beforeMs: o.neighborhoodMs || CONSENSUS_WINDOWS_MS.prominence, afterMs: o.neighborhoodMs || CONSENSUS_WINDOWS_MS.prominence }) });
+// Newer voters, off until enabled with configure(name, { enabled: true })
+ShotDetectorConsensus.register('spectralEnergy',
+  (c, o) => ShotDetectorConsensus.spectralEnergy(c.aMags, c.peakIdx, o, c.samples),
+  { enabled: false, reach: (o) => ({ beforeMs: (o.windowMs || CONSENSUS_WINDOWS_MS.spectral) / 2, afterMs: (o.windowMs || CONSENSUS_WINDOWS_MS.spectral) / 2 }) });
+ShotDetectorConsensus.register('gyroSpike',
+  (c, o) => ShotDetectorConsensus.gyroSpike(c.aMags, c.peakIdx, c.recIdx, o, c.samples),
+  { enabled: false, reach: (o) => ({
+    beforeMs: (o.baseWindowMs || CONSENSUS_WINDOWS_MS.gyroBase) + (o.baseOffsetMs || CONSENSUS_WINDOWS_MS.gyroBaseOffset),
+    afterRecoveryMs: CONSENSUS_WINDOWS_MS.gyroMargin,
+  }) });
+ShotDetectorConsensus.register('offBeat',
+  (c, o) => ShotDetectorConsensus.offBeat(c.aMags, c.peakIdx, o, c.samples),
+  { enabled: false, reach: () => ({ beforeMs: CADENCE_WINDOW_MS }) });
+// Needs a template: configure('shotTemplate', { enabled: true, opts: { template } })
+ShotDetectorConsensus.register('shotTemplate',
+  (c, o) => ShotDetectorConsensus.shotTemplate(c.aMags, c.peakIdx, o, c.samples),
+  { enabled: false, reach: (o) => (o.template ? { beforeMs: o.template.preMs, afterMs: o.template.postMs } : {}) });
+
+
+// ===== Detection Evaluation =====
+// Scores detector output against labeled sessions. Shots are matched by time
+// rather than exact sample index, so a detection a few samples off the label
+// still counts as a hit.
+const EVAL_TOLERANCE_MS = 1500;
+
+class DetectionEval {
+  // Timestamp of an IMU sample, same timing source the detector uses
+  static sampleTime(imu, idx) {
+    const s = imu[idx];
+    return s ? (s.t || s.tRel || 0) : null;
+  }
+
+  // Labeled shot times for a session, or null if it has no labels.
+  // Viewer-edited sessions (userEdits) are trusted as-is; otherwise spoken
+  // "shot" labels (voice_shot events) are used when present.
+  static groundTruth(session) {
+    if (session.userEdits && Array.isArray(session.shots)) {
+      return session.shots
+        .filter(s => s.idx >= 0 && s.idx < session.imu.length)
+        .map(s => ({ t: DetectionEval.sampleTime(session.imu, s.idx), idx: s.idx, source: 'edited' }));
+    }
+    const voice = (session.events || []).filter(e => e.type === 'voice_shot');
+    if (voice.length) {
+      return voice.map(e => ({ t: e.t, idx: null, source: 'voice' }));
+    }
+    return null;
+  }
+
+  // Greedy one-to-one matching: closest truth/detection pairs first, each
+  // side used at most once, pairs further apart than toleranceMs never match
+  static matchShots(truth, detected, toleranceMs = EVAL_TOLERANCE_MS) {
+    const pairs = [];
+    for (let i = 0; i < truth.length; i++) {
+      for (let j = 0; j < detected.length; j++) {
+        const dt = Math.abs(detected[j].t - truth[i].t);
+        if (dt <= toleranceMs) pairs.push({ i, j, dt });
+      }
+    }
+    pairs.sort((a, b) => a.dt - b.dt);
+
+    const usedTruth = new Set();
+    const usedDet = new Set();
+    const matches = [];
+    for (const p of pairs) {
+      if (usedTruth.has(p.i) || usedDet.has(p.j)) continue;
+      usedTruth.add(p.i);
+      usedDet.add(p.j);
+      matches.push({ truth: truth[p.i], detected: detected[p.j], dt: detected[p.j].t - truth[p.i].t });
+    }
+    matches.sort((a, b) => a.truth.t - b.truth.t);
+
+    return {
+      matches,
+      falsePositives: detected.filter((_, j) => !usedDet.has(j)),
+      falseNegatives: truth.filter((_, i) => !usedTruth.has(i)),
+    };
+  }
+
+  // Precision / recall / F1 from counts (null when undefined, e.g. no detections)
+  static score(tp, fp, fn) {
+    const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+    let f1 = null;
+    if (precision !== null && recall !== null) {
+      f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+    }
+    return { tp, fp, fn, precision, recall, f1 };
+  }
+
+  // Match and score one session's detections
+  static evaluate(truth, detected, toleranceMs = EVAL_TOLERANCE_MS) {
+    const m = DetectionEval.matchShots(truth, detected, toleranceMs);
+    return {
+      ...DetectionEval.score(m.matches.length, m.falsePositives.length, m.falseNegatives.length),
+      matches: m.matches,
+      falsePositives: m.falsePositives,
+      falseNegatives: m.falseNegatives,
+    };
+  }
+
+  // Micro-averaged score over several evaluate() results
+  static combine(results) {
+    let tp = 0, fp = 0, fn = 0;
+    for (const r of results) {
+      tp += r.tp;
+      fp += r.fp;
+      fn += r.fn;
+    }
+    return DetectionEval.score(tp, fp, fn);
+  }
+}
+
 
 // ===== Utility =====
 function formatTime(ms) {
@@ -1029,6 +3409,11 @@ function downloadJSON(data, filename) {
   URL.revokeObjectURL(url);
 }
 
+// For user-typed text (profile names) placed in innerHTML
+function escapeHTML(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
 // Median of an array
 function median(arr) {
   if (arr.length === 0) return 0;
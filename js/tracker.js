@@ -7,6 +7,7 @@ const Tracker = (() => {
   let buffer = new IMUBuffer();
   let shotDetector = new ShotDetector();
   let movementDetector = new MovementDetector();
+  let gravityEstimator = new GravityEstimator();
   let startTime = 0;
   let timerInterval = null;
 
@@ -24,10 +25,10 @@ const Tracker = (() => {
 
   // Motion calibration state
   const CALIB_STEPS = [
-    { key: 'walking',   label: 'Walk a Lap',            instruction: 'Walk normally with phone in pocket. Tap Done when finished.' },
-    { key: 'running',   label: 'Run a Lap',             instruction: 'Jog or run with phone in pocket. Tap Done when finished.' },
-    { key: 'dribbling', label: 'Dribble + Run a Lap',   instruction: 'Dribble with right hand while moving, phone in left pocket. Tap Done when finished.' },
-    { key: 'shooting',  label: 'Shoot 3-5 Shots',       instruction: 'Take 3-5 jump shots at normal pace. Tap Done when finished.' },
+    { key: 'walking',   label: 'Walk a Lap',            instruction: 'Walk normally with phone in pocket. Moves on by itself when the bar fills.' },
+    { key: 'running',   label: 'Run a Lap',             instruction: 'Jog or run with phone in pocket. Moves on by itself when the bar fills.' },
+    { key: 'dribbling', label: 'Dribble + Run a Lap',   instruction: 'Dribble with right hand while moving, phone in left pocket. Moves on by itself when the bar fills.' },
+    { key: 'shooting',  label: 'Shoot 5 Shots',         instruction: 'Take 5 jump shots at normal pace. Finishes by itself when the bar fills.' },
   ];
   let motionCalActive = false;
   let motionCalStep = -1;
@@ -36,9 +37,25 @@ const Tracker = (() => {
   let motionCalCountdown = 0;
   let motionCalStartTime = 0;
   let motionCalOwnsSensors = false; // true when cal started its own IMU listener (pre-recording)
+  let motionCalProgress = null;     // CalibrationStepProgress of the current step
+  let motionCalQuarter = 0;         // quarters of the step's target reached (cued once each)
+  let motionCalStepDone = false;    // step completed (auto or Done), advance pending
+  let calAudio = null;              // AudioContext for calibration cues, opened on the Motion Cal tap
+  let lastCalRun = null;            // latest run alone, before merging into the profile
+  let lastCalReport = null;         // MotionCalibrator.evaluate of that run
 
   // Retrospective check state
   let retroInterval = null;
+  let liveRetraction = true; // Retract toggle; copied onto each new session
+  let useLiveModel = false;  // apply the stored shot model while recording (Filters)
+  let useLiveTemplate = false; // apply the profile's shot template while recording (Filters)
+
+  // Sensor gap state
+  let pageHiddenSinceSample = false; // page was hidden since the last IMU sample
+  let gapBannerTimeout = null;
+
+  // Detector preset (persisted between sessions)
+  const PRESET_STORAGE_KEY = 'bball_detector_preset';
 
   // Voice labeling state
   let speechRecognition = null;
@@ -64,6 +81,7 @@ const Tracker = (() => {
     setupControls();
     setupDropdowns();
     setupZoneConfirm();
+    setupZonePicker();
     resizeCanvases();
     drawCourt();
 
@@ -71,6 +89,9 @@ const Tracker = (() => {
       resizeCanvases();
       drawCourt();
     });
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) pageHiddenSinceSample = true;
+    });
   }
 
   function onShow() {
@@ -107,12 +128,31 @@ const Tracker = (() => {
     document.getElementById('btn-export').addEventListener('click', exportSession);
     document.getElementById('btn-motion-cal').addEventListener('click', startMotionCal);
     document.getElementById('btn-voice').addEventListener('click', toggleVoiceLabeling);
+    document.getElementById('btn-retract').addEventListener('click', toggleLiveRetraction);
     document.getElementById('btn-label-shot').addEventListener('click', onManualShotLabel);
     document.getElementById('cal-done').addEventListener('click', doneMotionCalStep);
     document.getElementById('cal-skip').addEventListener('click', skipMotionCalStep);
     document.getElementById('cal-cancel').addEventListener('click', cancelMotionCal);
     document.getElementById('cal-result-ok').addEventListener('click', closeCalResult);
     document.getElementById('cal-result-clear').addEventListener('click', clearCalResult);
+    document.getElementById('cal-result-replace').addEventListener('click', replaceCalResult);
+    setupPresetSelect();
+    setupProfiles();
+    setupFilters();
+  }
+
+  function setupPresetSelect() {
+    const select = document.getElementById('detector-preset');
+    select.innerHTML = Object.keys(DETECTOR_PRESETS)
+      .map(name => `<option value="${name}">${name}</option>`).join('');
+
+    let saved = null;
+    try { saved = localStorage.getItem(PRESET_STORAGE_KEY); } catch (e) { /* storage unavailable */ }
+    if (saved && DETECTOR_PRESETS[saved]) select.value = saved;
+
+    select.addEventListener('change', () => {
+      try { localStorage.setItem(PRESET_STORAGE_KEY, select.value); } catch (e) { /* storage unavailable */ }
+    });
   }
 
   function toggleRecording() {
@@ -141,8 +181,11 @@ const Tracker = (() => {
     // Reset state
     session = new Session();
     buffer = new IMUBuffer();
-    shotDetector = new ShotDetector();
+    shotDetector = new ShotDetector(document.getElementById('detector-preset').value);
+    session.detectorConfig = { ...shotDetector.config };
+    session.liveRetraction = liveRetraction;
     movementDetector = new MovementDetector();
+    gravityEstimator = new GravityEstimator();
     waveformData = [];
     courtPos = { x: 0, y: 0 };
     gpsCalibration = { rim: null, top3: null, left: null, right: null };
@@ -159,16 +202,24 @@ const Tracker = (() => {
     document.getElementById('btn-calibrate').disabled = false;
     document.getElementById('btn-anchor').disabled = false;
     document.getElementById('btn-export').disabled = false;
+    document.getElementById('detector-preset').disabled = true;
+    document.getElementById('cal-profile').disabled = true;
 
-    // Load calibration if available
+    // Load calibration if available (from the selected profile)
     const cal = MotionCalibrator.load();
     if (cal) {
       shotDetector.calibration = cal;
     }
+    recordSessionCalibration();
+    // Trained shot model post-filter, only when switched on under Filters
+    shotDetector.model = useLiveModel ? ShotModel.load() : null;
+    // The profile's template of the player's own shots, only when switched on under Filters
+    shotDetector.template = useLiveTemplate ? ShotTemplate.load() : null;
 
     // Clear shot log
     document.getElementById('shot-log-list').innerHTML = '';
     document.getElementById('stat-shots').textContent = '0';
+    updateShootingStats();
 
     // Start timer
     timerInterval = setInterval(updateTimer, 1000);
@@ -194,6 +245,8 @@ const Tracker = (() => {
     document.getElementById('recording-dot').classList.add('hidden');
     document.getElementById('btn-calibrate').disabled = true;
     document.getElementById('btn-anchor').disabled = true;
+    document.getElementById('detector-preset').disabled = false;
+    document.getElementById('cal-profile').disabled = false;
 
     clearInterval(timerInterval);
     clearInterval(retroInterval);
@@ -219,6 +272,10 @@ const Tracker = (() => {
     if (!acc || acc.x === null) return;
 
     const now = Date.now();
+    const last = session.imu.length ? session.imu[session.imu.length - 1] : null;
+    if (last && now - last.t > shotDetector.config.sensorGapMs) onSensorGap(last.t, now);
+    pageHiddenSinceSample = false;
+
     const ax = acc.x;
     const ay = acc.y;
     const az = acc.z;
@@ -241,16 +298,14 @@ const Tracker = (() => {
       gz: gz * (Math.PI / 180),
       moving,
     };
+    // Gravity-aligned vertical/horizontal acceleration (aVert, aHoriz)
+    gravityEstimator.processSample(sample);
 
     buffer.push(sample);
     session.addIMU(sample);
 
     // Route to motion calibration buffer if active
-    if (motionCalActive && motionCalStep >= 0 && motionCalStep < CALIB_STEPS.length) {
-      const stepKey = CALIB_STEPS[motionCalStep].key;
-      if (!motionCalBuffers[stepKey]) motionCalBuffers[stepKey] = [];
-      motionCalBuffers[stepKey].push(sample);
-    }
+    routeMotionCalSample(sample);
 
     // Track movement transitions
     const prevMoving = buffer.length > 1 ? buffer.get(buffer.length - 2)?.moving : moving;
@@ -268,12 +323,10 @@ const Tracker = (() => {
     waveformData.push({ aMag, t: now });
     if (waveformData.length > 500) waveformData.shift();
 
-    // Shot detection (suppressed during motion calibration)
-    if (!motionCalActive) {
-      const shot = shotDetector.processSample(buffer, now);
-      if (shot) {
-        onShotDetected(shot, now);
-      }
+    // Shot detection — the detector sees every sample so its indices stay in
+    // step with session.imu, but shots are suppressed during motion calibration
+    for (const shot of shotDetector.push(sample)) {
+      if (!motionCalActive) onShotDetected(shot, now);
     }
 
     // GPS calibration sampling
@@ -285,6 +338,32 @@ const Tracker = (() => {
     updateMovementUI(moving);
   }
 
+  // ===== Sensor Gaps =====
+  // devicemotion stopped delivering (page hidden, browser throttling): record
+  // it so the viewer can show the hole, and warn — the detector restarts its
+  // baseline on its own.
+  function onSensorGap(fromT, toT) {
+    const durationMs = toT - fromT;
+    session.addEvent({
+      type: 'sensor_gap',
+      t: toT,
+      tRel: toT - startTime,
+      startT: fromT,
+      durationMs,
+      idx: session.imu.length,
+      reason: pageHiddenSinceSample ? 'hidden' : 'throttled',
+    });
+
+    const count = session.events.filter(e => e.type === 'sensor_gap').length;
+    const banner = document.getElementById('sensor-gap-banner');
+    banner.textContent = `Sensors paused ${(durationMs / 1000).toFixed(1)}s` +
+      (pageHiddenSinceSample ? ' while the app was in the background' : '') +
+      ` — keep the screen on${count > 1 ? ` (${count} gaps)` : ''}`;
+    banner.classList.remove('hidden');
+    clearTimeout(gapBannerTimeout);
+    gapBannerTimeout = setTimeout(() => banner.classList.add('hidden'), 8000);
+  }
+
   // ===== Shot Detected =====
   function onShotDetected(detection, now) {
     const zone = classifyZone(courtPos.x, courtPos.y);
@@ -298,11 +377,17 @@ const Tracker = (() => {
       consensusSummary = {
         votes: c.votes,
         total: c.total,
-        methods: c.methods.map(m => ({ name: m.name, vote: m.vote, detail: m.detail })),
+        score: c.score,
+        threshold: c.threshold,
+        methods: c.methods.map(m => ({
+          name: m.name, shortName: m.shortName, vote: m.vote, detail: m.detail, weight: m.weight, contribution: m.contribution,
+        })),
       };
     }
 
+    const shotId = session.nextShotId();
     const shotData = {
+      id: shotId,
       x: courtPos.x,
       y: courtPos.y,
       zone,
@@ -313,14 +398,22 @@ const Tracker = (() => {
       dipMag: detection.dipMag,
       recoveryMag: detection.recoveryMag,
       range: detection.range,
+      airtimeMs: detection.airtimeMs,
+      jumpHeight: detection.jumpHeight,
+      shotType: detection.shotType,
+      shotTypeConfidence: detection.shotTypeConfidence,
       consensus: consensusSummary,
       calibResult: detection.calibResult || null,
+      modelScore: detection.modelScore,
+      templateDistance: detection.templateDistance,
+      outcome: 'unknown',
     };
 
     session.addShot(shotData);
 
     session.addEvent({
       type: 'shot',
+      shotId,
       t: now,
       tRel: now - startTime,
       courtPos: { x: courtPos.x, y: courtPos.y },
@@ -330,8 +423,13 @@ const Tracker = (() => {
       dipMagnitude: detection.dipMag,
       recoveryMagnitude: detection.recoveryMag,
       peakToDipRange: detection.range,
+      airtimeMs: detection.airtimeMs,
+      jumpHeight: detection.jumpHeight,
+      shotType: detection.shotType,
+      shotTypeConfidence: detection.shotTypeConfidence,
       movementState: movementDetector.isMoving ? 'moving' : 'stationary',
       consensus: consensusSummary,
+      outcome: 'unknown',
     });
 
     // Haptic feedback
@@ -339,15 +437,17 @@ const Tracker = (() => {
 
     // Update UI
     document.getElementById('stat-shots').textContent = session.shots.length;
+    updateShootingStats();
     addShotLogEntry(shotData, session.shots.length);
-    showZoneConfirmation(zone, color, session.shots.length - 1);
+    showZoneConfirmation(zone, color, shotId);
     drawCourt();
   }
 
   function addShotLogEntry(shot, num) {
     const list = document.getElementById('shot-log-list');
     const div = document.createElement('div');
-    div.className = 'shot-log-item';
+    div.className = 'shot-log-item' + (shot.retractReason ? ' retracted' : '');
+    div.dataset.shotId = shot.id;
     const elapsed = formatTime(Date.now() - startTime);
 
     // Build consensus vote display if available
@@ -355,24 +455,91 @@ const Tracker = (() => {
     if (shot.consensus) {
       const dots = shot.consensus.methods.map(m => {
         const cls = m.vote ? 'vote-yes' : 'vote-no';
-        const shortName = m.name.replace(/^(Window)-\d+/, 'Win').replace(/^(Envelope)-\d+v\d+/, 'Env').replace('DipDepth', 'Dip').replace('Prominence', 'Prom');
-        return `<span class="consensus-dot ${cls}" title="${m.name}: ${m.detail}">${shortName}</span>`;
+        return `<span class="consensus-dot ${cls}" title="${m.name} (w=${m.weight}): ${m.detail}">${m.shortName || m.name}</span>`;
       }).join('');
       consensusHTML = `<div class="shot-log-consensus">${dots}</div>`;
     }
 
     div.innerHTML = `
-      <div class="shot-log-num" style="background:${shot.color}">${num}</div>
+      <div class="shot-log-num" style="background:${shot.color}">${shot.retractReason ? '–' : num}</div>
       <div class="shot-log-info-col">
-        <div class="shot-log-zone">${shot.zone}</div>
-        <div class="shot-log-mag">pk:${shot.mag.toFixed(1)} dip:${shot.dipMag.toFixed(1)}</div>
+        <div class="shot-log-zone">${shot.zone} <span class="shot-type-badge">${SHOT_TYPE_LABELS[shot.shotType] || ''}</span></div>
+        <div class="shot-log-mag">pk:${shot.mag.toFixed(1)} dip:${shot.dipMag.toFixed(1)}${shot.airtimeMs > 0 ? ` air:${Math.round(shot.airtimeMs)}ms ${formatJump(shot.jumpHeight)}` : ''}</div>
+        ${shot.retractReason ? `<div class="shot-log-retracted">Retracted: ${RETRACT_REASON_LABELS[shot.retractReason] || shot.retractReason}</div>` : ''}
         ${consensusHTML}
       </div>
+      ${shot.retractReason ? `
+      <button class="btn btn-sm btn-secondary" data-restore>Restore</button>` : `
+      <div class="outcome-toggle">
+        <button class="btn outcome-btn make" data-outcome="make">Make</button>
+        <button class="btn outcome-btn miss" data-outcome="miss">Miss</button>
+      </div>`}
       <div class="shot-log-time">${elapsed}</div>
     `;
+    div.querySelector('[data-restore]')?.addEventListener('click', () => restoreShot(shot.id));
+    div.querySelectorAll('[data-outcome]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const current = session.shotById(shot.id)?.outcome;
+        // Tapping the active outcome again clears it
+        setShotOutcome(shot.id, current === btn.dataset.outcome ? 'unknown' : btn.dataset.outcome);
+      });
+    });
+    renderShotLogOutcome(div, shot.outcome);
     list.insertBefore(div, list.firstChild);
   }
 
+  function renderShotLogOutcome(div, outcome) {
+    div.querySelectorAll('[data-outcome]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.outcome === outcome);
+    });
+  }
+
+  // ===== Shot Outcomes =====
+  function setShotOutcome(shotId, outcome) {
+    const shot = session && session.shotById(shotId);
+    if (!shot || !SHOT_OUTCOMES.includes(outcome)) return;
+    shot.outcome = outcome;
+
+    const shotEvent = session.shotEventById(shotId);
+    if (shotEvent) shotEvent.outcome = outcome;
+
+    const logItem = document.querySelector(`#shot-log-list [data-shot-id="${shotId}"]`);
+    if (logItem) renderShotLogOutcome(logItem, outcome);
+
+    updateShootingStats();
+    drawCourt();
+  }
+
+  function updateShootingStats() {
+    const stats = shootingStats(session ? session.shots : []);
+    document.getElementById('stat-fg').textContent = stats.total.pct === null
+      ? '--'
+      : Math.round(stats.total.pct * 100) + '%';
+
+    // Per-zone and per-shot-type chips, only where an outcome is decided
+    const row = document.getElementById('zone-fg-row');
+    const zones = ALL_ZONES.filter(z => stats.zones[z] && stats.zones[z].pct !== null);
+    const types = SHOT_TYPES.filter(t => t !== 'unknown' && stats.types[t] && stats.types[t].pct !== null);
+    row.innerHTML = zones.map(z =>
+      `<span class="zone-fg-chip" style="border-left-color:${zoneColor(z)}">${z} ${formatFG(stats.zones[z])}</span>`
+    ).concat(types.map(t =>
+      `<span class="zone-fg-chip type-chip">${SHOT_TYPE_LABELS[t]} ${formatFG(stats.types[t])}</span>`
+    )).join('');
+    row.classList.toggle('hidden', zones.length + types.length === 0);
+
+    // Jump height trend: session average and early-vs-late change
+    const trend = jumpTrend(session ? session.shots : []);
+    const trendEl = document.getElementById('jump-trend');
+    if (trend.count === 0) {
+      trendEl.textContent = '';
+    } else {
+      let text = `jump ${formatJump(trend.mean)}`;
+      if (trend.count >= 3) text += ` ${trend.change >= 0 ? '+' : ''}${Math.round(trend.change * 100)}%`;
+      trendEl.textContent = text;
+    }
+    trendEl.classList.toggle('fading', trend.count >= 3 && trend.change <= -0.15);
+  }
+
   // ===== Zone Confirmation =====
   let zoneConfirmTimer = null;
 
@@ -381,14 +548,25 @@ const Tracker = (() => {
       hideZoneConfirmation(true);
     });
     document.getElementById('zone-confirm-no').addEventListener('click', () => {
+      const shotId = pendingConfirmShotId;
       hideZoneConfirmation(false);
+      showZonePicker(shotId);
+    });
+    document.getElementById('zone-confirm-make').addEventListener('click', () => {
+      setShotOutcome(pendingConfirmShotId, 'make');
+      hideZoneConfirmation(null);
+    });
+    document.getElementById('zone-confirm-miss').addEventListener('click', () => {
+      setShotOutcome(pendingConfirmShotId, 'miss');
+      hideZoneConfirmation(null);
     });
   }
 
-  let pendingConfirmShotIdx = -1;
+  let pendingConfirmShotId = null;
 
-  function showZoneConfirmation(zone, color, shotIdx) {
-    pendingConfirmShotIdx = shotIdx;
+  function showZoneConfirmation(zone, color, shotId) {
+    hideZonePicker();
+    pendingConfirmShotId = shotId;
     const el = document.getElementById('zone-confirm');
     const zoneEl = document.getElementById('zone-confirm-zone');
     zoneEl.textContent = zone;
@@ -412,15 +590,64 @@ const Tracker = (() => {
     clearTimeout(zoneConfirmTimer);
     document.getElementById('zone-confirm').classList.add('hidden');
 
-    if (confirmed !== null && pendingConfirmShotIdx >= 0 && pendingConfirmShotIdx < session.events.length) {
-      // Find the corresponding shot event and update
-      const shotEvents = session.events.filter(e => e.type === 'shot');
-      const lastShotEvent = shotEvents[shotEvents.length - 1];
-      if (lastShotEvent) {
-        lastShotEvent.userConfirmed = confirmed;
-      }
+    if (confirmed !== null && pendingConfirmShotId !== null) {
+      const shot = session.shotById(pendingConfirmShotId);
+      const shotEvent = session.shotEventById(pendingConfirmShotId);
+      if (shot) shot.userConfirmed = confirmed;
+      if (shotEvent) shotEvent.userConfirmed = confirmed;
+    }
+    pendingConfirmShotId = null;
+  }
+
+  // ===== Zone Correction =====
+  // "Wrong" opens a picker: a zone from the list, or a tap on the court
+  let correctingShotId = null;
+
+  function setupZonePicker() {
+    document.getElementById('zone-picker-cancel').addEventListener('click', hideZonePicker);
+    courtCanvas.addEventListener('click', (e) => {
+      if (correctingShotId === null) return;
+      const rect = courtCanvas.getBoundingClientRect();
+      const { scale, cx, by } = courtTransform();
+      const pos = { x: (e.clientX - rect.left - cx) / scale, y: (by - (e.clientY - rect.top)) / scale };
+      applyZoneCorrection(classifyZone(pos.x, pos.y), pos);
+    });
+  }
+
+  function showZonePicker(shotId) {
+    const shot = session && session.shotById(shotId);
+    if (!shot) return;
+    correctingShotId = shotId;
+
+    const options = document.getElementById('zone-picker-options');
+    options.innerHTML = '';
+    ALL_ZONES.forEach(zone => {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-sm' + (zone === shot.zone ? ' selected' : '');
+      btn.textContent = zone;
+      btn.style.borderLeftColor = zoneColor(zone);
+      btn.style.borderLeftWidth = '3px';
+      btn.addEventListener('click', () => applyZoneCorrection(zone));
+      options.appendChild(btn);
+    });
+
+    document.getElementById('zone-picker').classList.remove('hidden');
+    courtCanvas.classList.add('picking');
+  }
+
+  function hideZonePicker() {
+    correctingShotId = null;
+    document.getElementById('zone-picker').classList.add('hidden');
+    courtCanvas.classList.remove('picking');
+  }
+
+  function applyZoneCorrection(zone, pos) {
+    if (correctingShotId !== null && session.correctShotZone(correctingShotId, zone, pos)) {
+      rebuildShotLog();
+      updateShootingStats();
+      drawCourt();
     }
-    pendingConfirmShotIdx = -1;
+    hideZonePicker();
   }
 
   // ===== Movement UI =====
@@ -445,6 +672,9 @@ const Tracker = (() => {
       label.textContent = 'Run';
       progress.style.background = 'var(--orange)';
     }
+
+    const spm = movementDetector.stepsPerMin;
+    document.getElementById('movement-cadence').textContent = spm ? `${Math.round(spm)}/min` : '';
   }
 
   // ===== GPS =====
@@ -665,6 +895,13 @@ const Tracker = (() => {
       motionCalOwnsSensors = false;
     }
 
+    // Audio may only start from a user gesture, which this tap is
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!calAudio && AudioCtx) {
+      try { calAudio = new AudioCtx(); } catch (e) { calAudio = null; }
+    }
+    if (calAudio && calAudio.state === 'suspended') calAudio.resume();
+
     motionCalActive = true;
     motionCalStep = -1;
     motionCalBuffers = {};
@@ -684,15 +921,20 @@ const Tracker = (() => {
     const gz = (rot.gamma || 0) * (Math.PI / 180);
 
     const sample = { t: Date.now(), ax, ay, az, aMag, gx, gy, gz, moving: false };
+    routeMotionCalSample(sample);
+  }
 
-    if (motionCalActive && motionCalStep >= 0 && motionCalStep < CALIB_STEPS.length) {
-      const stepKey = CALIB_STEPS[motionCalStep].key;
-      if (!motionCalBuffers[stepKey]) motionCalBuffers[stepKey] = [];
-      motionCalBuffers[stepKey].push(sample);
-    }
+  // Into the current step's buffer and its progress counter
+  function routeMotionCalSample(sample) {
+    if (!motionCalActive || motionCalStep < 0 || motionCalStep >= CALIB_STEPS.length) return;
+    const stepKey = CALIB_STEPS[motionCalStep].key;
+    if (!motionCalBuffers[stepKey]) motionCalBuffers[stepKey] = [];
+    motionCalBuffers[stepKey].push(sample);
+    if (motionCalProgress) motionCalProgress.processSample(sample);
   }
 
   function advanceMotionCalStep() {
+    if (!motionCalActive) return; // cancelled while the advance was pending
     motionCalStep++;
     if (motionCalStep >= CALIB_STEPS.length) {
       finishMotionCal();
@@ -702,6 +944,9 @@ const Tracker = (() => {
     const step = CALIB_STEPS[motionCalStep];
     motionCalStartTime = Date.now();
     motionCalBuffers[step.key] = [];
+    motionCalProgress = new CalibrationStepProgress(step.key);
+    motionCalQuarter = 0;
+    motionCalStepDone = false;
 
     // Update UI
     const overlay = document.getElementById('cal-overlay');
@@ -711,6 +956,7 @@ const Tracker = (() => {
     document.getElementById('cal-step-instruction').textContent = step.instruction;
     document.getElementById('cal-countdown').textContent = '0:00';
     document.getElementById('cal-sample-count').textContent = '0 samples';
+    renderMotionCalProgress(motionCalProgress.update([]));
 
     // Update step dots
     const dots = overlay.querySelectorAll('.cal-step-dot');
@@ -734,22 +980,62 @@ const Tracker = (() => {
     const secs = Math.floor(elapsed % 60);
     document.getElementById('cal-countdown').textContent = mins + ':' + String(secs).padStart(2, '0');
 
-    // Show sample count for current step
+    // Show sample count and progress toward the step's target
     const step = CALIB_STEPS[motionCalStep];
-    if (step) {
-      const count = (motionCalBuffers[step.key] || []).length;
-      document.getElementById('cal-sample-count').textContent = count + ' samples';
+    if (!step || !motionCalProgress) return;
+    const samples = motionCalBuffers[step.key] || [];
+    document.getElementById('cal-sample-count').textContent = samples.length + ' samples';
+    const progress = motionCalProgress.update(samples);
+    renderMotionCalProgress(progress);
+
+    if (progress.done) {
+      doneMotionCalStep();
+      return;
+    }
+    // Tick at each quarter so the user knows it's counting without looking
+    const quarter = Math.floor(progress.fraction * 4);
+    if (quarter > motionCalQuarter) {
+      motionCalQuarter = quarter;
+      if (navigator.vibrate) navigator.vibrate(60);
+      calBeep([660]);
     }
   }
 
+  function renderMotionCalProgress(progress) {
+    document.getElementById('cal-progress-bar').style.width = Math.round(progress.fraction * 100) + '%';
+    document.getElementById('cal-progress').classList.toggle('done', progress.done);
+    document.getElementById('cal-progress-text').textContent = progress.text;
+  }
+
+  // Completed by its criterion or by tapping Done (early, or to accept less)
   function doneMotionCalStep() {
+    if (motionCalStepDone) return;
+    motionCalStepDone = true;
     clearInterval(motionCalTimer);
-    // Buzz to confirm
+    // Buzz and chime to confirm
     if (navigator.vibrate) navigator.vibrate([150, 100, 150]);
+    calBeep([660, 880]);
     setTimeout(advanceMotionCalStep, 400);
   }
 
+  // Short sine tones, one after another (no-op without Web Audio)
+  function calBeep(freqs) {
+    if (!calAudio) return;
+    const start = calAudio.currentTime;
+    freqs.forEach((freq, i) => {
+      const osc = calAudio.createOscillator();
+      const gain = calAudio.createGain();
+      osc.frequency.value = freq;
+      gain.gain.setValueAtTime(0.2, start + i * 0.15);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + i * 0.15 + 0.12);
+      osc.connect(gain).connect(calAudio.destination);
+      osc.start(start + i * 0.15);
+      osc.stop(start + i * 0.15 + 0.12);
+    });
+  }
+
   function skipMotionCalStep() {
+    if (motionCalStepDone) return;
     clearInterval(motionCalTimer);
     // Clear data for skipped step
     const step = CALIB_STEPS[motionCalStep];
@@ -770,6 +1056,7 @@ const Tracker = (() => {
     motionCalActive = false;
     motionCalStep = -1;
     motionCalBuffers = {};
+    motionCalProgress = null;
     stopMotionCalSensors();
     document.getElementById('cal-overlay').classList.add('hidden');
   }
@@ -777,19 +1064,35 @@ const Tracker = (() => {
   function finishMotionCal() {
     clearInterval(motionCalTimer);
     motionCalActive = false;
+    motionCalProgress = null;
     stopMotionCalSensors();
     document.getElementById('cal-overlay').classList.add('hidden');
 
-    // Run calibration
-    const cal = MotionCalibrator.calibrate(
+    // Add the run to the selected profile: merged into its calibration if it
+    // has one (Replace in the result modal starts over from this run instead)
+    const patterns = MotionCalibrator.extractAll(
       motionCalBuffers.walking || [],
       motionCalBuffers.running || [],
       motionCalBuffers.dribbling || [],
       motionCalBuffers.shooting || []
     );
+    lastCalRun = MotionCalibrator.fromPatterns(patterns);
+    lastCalReport = MotionCalibrator.evaluate(patterns);
+    const cal = MotionCalibrator.accumulate(lastCalRun, 'motion-cal');
 
     // Set on active detector
     shotDetector.calibration = cal;
+    renderProfileSelect();
+    recordSessionCalibration();
+
+    // Shot template from the shooting step, kept with the profile; keep the
+    // previous one if too few shots. It applies once switched on under Filters
+    const template = ShotTemplate.fromCalibration(motionCalBuffers.shooting || []);
+    if (template) {
+      ShotTemplate.save(template);
+      applyLiveFilters();
+    }
+    lastCalRun.templateShots = template ? template.count : 0;
 
     // Haptic: done
     if (navigator.vibrate) navigator.vibrate([100, 50, 100]);
@@ -798,23 +1101,45 @@ const Tracker = (() => {
     showCalResult(cal);
   }
 
+  // cal: the profile's calibration now; lastCalRun: what this run added
   function showCalResult(cal) {
+    const merged = (cal.runs || 1) > 1;
     const body = document.getElementById('cal-result-body');
-    let html = '';
+    let html = `<div class="cal-result-row">
+      <span class="cal-result-label">Profile</span>
+      <span class="cal-result-count">${escapeHTML(CalibrationProfiles.label(CalibrationProfiles.selected()))}</span>
+    </div>`;
 
     for (const step of CALIB_STEPS) {
-      const count = cal.patternCounts[step.key] || 0;
+      const count = lastCalRun.patternCounts[step.key] || 0;
+      const total = cal.patternCounts[step.key] || 0;
       const countClass = count === 0 ? 'zero' : '';
       html += `<div class="cal-result-row">
         <span class="cal-result-label">${step.label}</span>
-        <span class="cal-result-count ${countClass}">${count} pattern${count !== 1 ? 's' : ''}</span>
+        <span class="cal-result-count ${countClass}">${count} pattern${count !== 1 ? 's' : ''}${merged ? ` (${total} total)` : ''}</span>
       </div>`;
     }
 
+    if (lastCalRun.templateShots !== undefined) {
+      html += `<div class="cal-result-row">
+        <span class="cal-result-label">Shot template</span>
+        <span class="cal-result-count ${lastCalRun.templateShots ? '' : 'zero'}">${lastCalRun.templateShots ? `${lastCalRun.templateShots} shots` : 'too few shots'}</span>
+      </div>`;
+    }
+
+    html += `<div class="cal-result-row">
+      <span class="cal-result-label">Version</span>
+      <span class="cal-result-count">v${cal.version}${merged ? ` · ${cal.runs} runs merged` : ''}</span>
+    </div>`;
+
+    html += renderCalQuality(lastCalReport);
+
     const hasShots = (cal.patternCounts.shooting || 0) > 0;
+    const separable = lastCalReport.separable;
+    document.getElementById('cal-result-replace').classList.toggle('hidden', !merged);
     html += `<div style="text-align:center; margin-top:12px;">
-      <span class="cal-status-badge ${hasShots ? 'active' : 'none'}">
-        ${hasShots ? 'Calibration Active' : 'No shooting patterns found'}
+      <span class="cal-status-badge ${!hasShots ? 'none' : separable ? 'active' : 'warn'}">
+        ${!hasShots ? 'No shooting patterns found' : separable ? 'Calibration Active' : 'Calibration Active — check warnings'}
       </span>
     </div>`;
 
@@ -826,10 +1151,247 @@ const Tracker = (() => {
     document.getElementById('cal-result-modal').classList.add('hidden');
   }
 
+  // Leave-one-out results for this run: how each activity's patterns would
+  // be classified, overlapping features and which step to redo
+  function renderCalQuality(report) {
+    const stepLabel = (key) => CALIB_STEPS.find(s => s.key === key).label;
+    let html = '<div class="cal-quality"><div class="cal-quality-title">This run, held out one at a time</div>';
+
+    for (const step of CALIB_STEPS) {
+      const { total, asShot } = report.activities[step.key];
+      if (total === 0) continue;
+      const isShooting = step.key === 'shooting';
+      const bad = isShooting ? report.shotRecall !== null && report.shotRecall < CALIB_QUALITY.minShotRecall
+        : asShot / total > CALIB_QUALITY.maxNoiseAccept;
+      html += `<div class="cal-quality-row${bad ? ' bad' : ''}">
+        <span>${isShooting ? 'Shots recognized' : `${step.key} taken as shot`}</span>
+        <span>${asShot} / ${total}</span>
+      </div>`;
+    }
+
+    if (report.overlaps.length) {
+      const byKey = {};
+      for (const o of report.overlaps) (byKey[o.key] = byKey[o.key] || []).push(o.activity);
+      html += `<div class="cal-quality-overlap">Overlapping features: ${Object.entries(byKey)
+        .map(([key, acts]) => `${key} (${acts.join(', ')})`).join('; ')}</div>`;
+    }
+
+    for (const w of report.warnings) {
+      html += `<div class="cal-quality-warning">Redo ${stepLabel(w.step)}: ${w.message}</div>`;
+    }
+    return html + '</div>';
+  }
+
+  // Drop what earlier runs contributed and keep only the latest run (a new version)
+  function replaceCalResult() {
+    MotionCalibrator.save(lastCalRun, 'motion-cal');
+    shotDetector.calibration = MotionCalibrator.load();
+    recordSessionCalibration();
+    renderProfileSelect();
+    showCalResult(shotDetector.calibration);
+  }
+
   function clearCalResult() {
     MotionCalibrator.clear();
     shotDetector.calibration = null;
+    recordSessionCalibration();
     document.getElementById('cal-result-modal').classList.add('hidden');
+    renderProfileSelect();
+  }
+
+  // The export carries the calibration the detector is running with, so
+  // test_detection.js and the viewer can re-run detection under it
+  function recordSessionCalibration() {
+    if (!isRecording) return;
+    session.calibrationProfile = CalibrationProfiles.summary(CalibrationProfiles.selected());
+    session.calibration = shotDetector.calibration || null;
+  }
+
+  // ===== Calibration Profiles =====
+  // The select picks the profile for the next recording (and Motion Cal);
+  // the Profiles modal creates, renames and deletes them
+  function setupProfiles() {
+    const select = document.getElementById('cal-profile');
+    select.addEventListener('change', () => {
+      CalibrationProfiles.select(select.value || null);
+      if (!isRecording) shotDetector.calibration = MotionCalibrator.load();
+      updateFiltersButton();
+    });
+    document.getElementById('btn-profiles').addEventListener('click', showProfiles);
+    document.getElementById('profiles-close').addEventListener('click', () => {
+      document.getElementById('profiles-modal').classList.add('hidden');
+    });
+    document.getElementById('profile-create').addEventListener('click', () => {
+      const name = document.getElementById('profile-name');
+      const placement = document.getElementById('profile-placement');
+      if (!name.value.trim()) {
+        name.focus();
+        return;
+      }
+      CalibrationProfiles.create(name.value, placement.value);
+      name.value = '';
+      placement.value = '';
+      renderProfiles();
+    });
+    const importInput = document.getElementById('profile-import-input');
+    document.getElementById('profile-import').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', (e) => {
+      if (e.target.files[0]) importProfile(e.target.files[0]);
+      importInput.value = '';
+    });
+    document.getElementById('profile-placements').innerHTML =
+      PHONE_PLACEMENTS.map(p => `<option value="${p}">`).join('');
+    renderProfileSelect();
+  }
+
+  function renderProfileSelect() {
+    const select = document.getElementById('cal-profile');
+    const profiles = CalibrationProfiles.list();
+    const selected = CalibrationProfiles.selected();
+    select.innerHTML = '<option value="">No profile</option>' + profiles
+      .map(p => `<option value="${escapeHTML(p.id)}">${escapeHTML(CalibrationProfiles.label(p))}${p.calibration ? '' : ' (uncalibrated)'}</option>`)
+      .join('');
+    select.value = selected ? selected.id : '';
+    // The template filter follows the profile
+    updateFiltersButton();
+  }
+
+  function showProfiles() {
+    renderProfiles();
+    document.getElementById('profiles-modal').classList.remove('hidden');
+  }
+
+  function renderProfiles() {
+    const list = document.getElementById('profiles-list');
+    const profiles = CalibrationProfiles.list();
+    const selected = CalibrationProfiles.selected();
+    list.innerHTML = profiles.length ? '' : '<div class="profiles-empty">No profiles yet</div>';
+
+    for (const p of profiles) {
+      const row = document.createElement('div');
+      row.className = 'profile-row' + (selected && selected.id === p.id ? ' selected' : '');
+      const calibrated = p.calibration
+        ? `v${p.calibration.version} · ${new Date(p.calibration.timestamp).toLocaleDateString()}` +
+          ((p.calibration.runs || 1) > 1 ? ` · ${p.calibration.runs} runs` : '')
+        : 'not calibrated';
+      const history = CalibrationProfiles.history(p.id);
+      row.innerHTML = `
+        <div class="profile-info">
+          <div class="profile-name">${escapeHTML(p.name)}</div>
+          <div class="profile-detail">${escapeHTML(p.placement || 'placement not set')} · ${calibrated}</div>
+        </div>
+        <button class="btn btn-sm" data-action="use"${isRecording ? ' disabled' : ''}>Use</button>
+        <button class="btn btn-sm" data-action="history"${history.length ? '' : ' disabled'}>History</button>
+        <button class="btn btn-sm" data-action="rename">Rename</button>
+        <button class="btn btn-sm" data-action="export">Export</button>
+        <button class="btn btn-sm btn-danger" data-action="delete">Del</button>
+      `;
+      row.querySelector('[data-action="use"]').addEventListener('click', () => {
+        CalibrationProfiles.select(p.id);
+        shotDetector.calibration = MotionCalibrator.load();
+        renderProfiles();
+      });
+      row.querySelector('[data-action="history"]').addEventListener('click', () => toggleProfileHistory(row, p, history));
+      row.querySelector('[data-action="export"]').addEventListener('click', () => {
+        const slug = CalibrationProfiles.label(p).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+        downloadJSON(CalibrationProfiles.exportProfile(p.id), `calibration_${slug || p.id}.json`);
+      });
+      row.querySelector('[data-action="rename"]').addEventListener('click', () => {
+        if (row.classList.contains('renaming')) {
+          CalibrationProfiles.rename(p.id,
+            row.querySelector('[data-field="name"]').value,
+            row.querySelector('[data-field="placement"]').value);
+          renderProfiles();
+        } else {
+          startProfileRename(row, p);
+        }
+      });
+      // Two taps to delete: the first arms the button
+      const del = row.querySelector('[data-action="delete"]');
+      del.addEventListener('click', () => {
+        if (!del.classList.contains('armed')) {
+          del.classList.add('armed');
+          del.textContent = 'Sure?';
+          return;
+        }
+        CalibrationProfiles.remove(p.id);
+        if (!isRecording) shotDetector.calibration = MotionCalibrator.load();
+        renderProfiles();
+      });
+      list.appendChild(row);
+    }
+    renderProfileSelect();
+  }
+
+  // A profile exported on another phone (or before a reinstall) comes in as a
+  // new profile and becomes the selected one
+  function importProfile(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      let data;
+      try {
+        data = JSON.parse(e.target.result);
+      } catch (err) {
+        alert('Failed to parse JSON: ' + err.message);
+        return;
+      }
+      const error = CalibrationProfiles.validateFile(data);
+      if (error) {
+        alert('Invalid calibration profile: ' + error);
+        return;
+      }
+      CalibrationProfiles.importProfile(data);
+      if (isRecording) {
+        // Keep the running session on the profile it started with
+        CalibrationProfiles.select(session.calibrationProfile ? session.calibrationProfile.id : null);
+      } else {
+        shotDetector.calibration = MotionCalibrator.load();
+      }
+      renderProfiles();
+    };
+    reader.readAsText(file);
+  }
+
+  // Earlier versions under the row, each with a Roll back button
+  function toggleProfileHistory(row, profile, history) {
+    const open = row.nextElementSibling && row.nextElementSibling.classList.contains('profile-history');
+    if (open) {
+      row.nextElementSibling.remove();
+      return;
+    }
+    const div = document.createElement('div');
+    div.className = 'profile-history';
+    for (const h of history) {
+      const cal = h.calibration;
+      const item = document.createElement('div');
+      item.className = 'profile-history-item';
+      item.innerHTML = `
+        <span>v${h.version} · ${new Date(h.savedAt).toLocaleString()} · ${escapeHTML(cal.source || 'calibration')} · ${(cal.patternCounts || {}).shooting || 0} shots</span>
+        <button class="btn btn-sm">Roll back</button>
+      `;
+      item.querySelector('button').addEventListener('click', () => {
+        CalibrationProfiles.rollback(profile.id, h.version);
+        shotDetector.calibration = MotionCalibrator.load();
+        recordSessionCalibration();
+        renderProfiles();
+      });
+      div.appendChild(item);
+    }
+    row.after(div);
+  }
+
+  // Swaps the row's name for inputs; the Rename button becomes Save
+  function startProfileRename(row, profile) {
+    row.classList.add('renaming');
+    const info = row.querySelector('.profile-info');
+    info.innerHTML = `
+      <div class="modal-custom profile-rename">
+        <input type="text" data-field="name" value="${escapeHTML(profile.name)}" placeholder="Player">
+        <input type="text" data-field="placement" value="${escapeHTML(profile.placement)}" placeholder="Phone placement" list="profile-placements">
+      </div>
+    `;
+    row.querySelector('[data-action="rename"]').textContent = 'Save';
+    info.querySelector('input').focus();
   }
 
   // ===== Voice Labeling =====
@@ -978,58 +1540,18 @@ const Tracker = (() => {
 
   // ===== Retrospective Burst Filter =====
   function runRetrospectiveCheck() {
-    if (!session || session.shots.length < 4) return;
+    if (!session || !session.liveRetraction || session.shots.length < 4) return;
 
-    // Get all shot events (not yet retracted)
-    const shotEvents = session.events.filter(e => e.type === 'shot');
-    if (shotEvents.length < 4) return;
-
-    // Only check the last 90 seconds
-    const now = Date.now();
-    const cutoff = now - 90000;
-    const recentShotEvents = shotEvents.filter(e => e.t > cutoff);
-    if (recentShotEvents.length < 3) return;
-
-    const toRemove = ShotDetector.retrospectiveFilter(recentShotEvents);
-    if (toRemove.size === 0) return;
-
-    // Mark removed events and collect their times for shot array cleanup
-    const removedTimes = new Set();
-    let removeIdx = 0;
-    for (const localIdx of toRemove) {
-      const evt = recentShotEvents[localIdx];
-      removedTimes.add(evt.t);
-      // Change event type so it's preserved in export but excluded from counts
-      const globalIdx = session.events.indexOf(evt);
-      if (globalIdx >= 0) {
-        session.events[globalIdx].type = 'shot_retracted';
-        session.events[globalIdx].retractReason = 'burst_filter';
-      }
-      removeIdx++;
-    }
-
-    // Remove corresponding entries from session.shots
-    // Shots don't have t directly, but they were added in the same order as shot events.
-    // Rebuild: keep shots whose corresponding event was not retracted.
-    const remainingShotEvents = session.events.filter(e => e.type === 'shot');
-    // Each shot in session.shots corresponds 1:1 with a shot event, in order.
-    // After retraction, the remaining shot events are fewer. Rebuild shots array.
-    const newShots = [];
-    let shotEventIdx = 0;
-    for (let i = 0; i < session.events.length; i++) {
-      if (session.events[i].type === 'shot') {
-        // This is a surviving shot event; find its corresponding shot
-        // by matching the idx field
-        const matchingShot = session.shots.find(s =>
-          s.mag === session.events[i].magnitude && s.idx !== undefined
-        );
-        if (matchingShot) newShots.push(matchingShot);
-      }
-    }
-    session.shots = newShots;
+    // Only check the last 90 seconds. Retracted shots stay listed (greyed,
+    // restorable); shots the user restored are left out of the check
+    const retracted = session.burstRetractions(shotDetector.config, Date.now() - 90000);
+    if (retracted.length === 0) return;
+    for (const id of retracted) session.retractShot(id, 'burst_filter');
+    if (retracted.includes(pendingConfirmShotId)) hideZoneConfirmation(null);
 
     // Update UI
     document.getElementById('stat-shots').textContent = session.shots.length;
+    updateShootingStats();
     rebuildShotLog();
     drawCourt();
 
@@ -1037,13 +1559,114 @@ const Tracker = (() => {
     if (navigator.vibrate) navigator.vibrate([30, 60, 30, 60, 30]);
   }
 
+  function restoreShot(shotId) {
+    if (!session || !session.restoreShot(shotId)) return;
+    document.getElementById('stat-shots').textContent = session.shots.length;
+    updateShootingStats();
+    rebuildShotLog();
+    drawCourt();
+  }
+
+  // Burst filter on/off for the recording in progress and the next one;
+  // the session keeps the setting (liveRetraction in the export)
+  function toggleLiveRetraction() {
+    liveRetraction = !liveRetraction;
+    if (session && isRecording) session.liveRetraction = liveRetraction;
+    document.getElementById('btn-retract').classList.toggle('active', liveRetraction);
+  }
+
+  // ===== Live Filters =====
+  // Post-filters that can veto live shots: the model imported in the viewer
+  // and the selected profile's shot template. Both stay off until switched on
+  // here, and Clear removes them from storage
+  function setupFilters() {
+    document.getElementById('btn-filters').addEventListener('click', () => {
+      renderFilters();
+      document.getElementById('filters-modal').classList.remove('hidden');
+    });
+    document.getElementById('filters-close').addEventListener('click', () => {
+      document.getElementById('filters-modal').classList.add('hidden');
+    });
+    updateFiltersButton();
+  }
+
+  function renderFilters() {
+    const list = document.getElementById('filters-list');
+    list.innerHTML = '';
+
+    const model = ShotModel.load();
+    const acc = model && model.cv && model.cv.accuracy !== null && model.cv.accuracy !== undefined
+      ? ` · ${Math.round(model.cv.accuracy * 100)}% cross-validated` : '';
+    list.appendChild(filterRow('Shot model',
+      model ? `trained ${new Date(model.trainedAt).toLocaleDateString()}${acc}` : 'none (import one in the viewer)',
+      !!model, useLiveModel && !!model,
+      () => { useLiveModel = !useLiveModel; },
+      () => { ShotModel.clear(); useLiveModel = false; }));
+
+    const template = ShotTemplate.load();
+    const profile = CalibrationProfiles.selected();
+    const owner = profile ? ` for ${CalibrationProfiles.label(profile)}` : '';
+    list.appendChild(filterRow('Shot template',
+      template ? `${template.count} shots${owner} · ${new Date(template.createdAt).toLocaleDateString()}`
+        : `none${owner} (Motion Cal, or Build Template in the viewer)`,
+      !!template, useLiveTemplate && !!template,
+      () => { useLiveTemplate = !useLiveTemplate; },
+      () => { ShotTemplate.clear(); useLiveTemplate = false; }));
+  }
+
+  // One row per filter: On/Off toggle and a two-tap Clear
+  function filterRow(name, detail, available, on, toggle, clear) {
+    const row = document.createElement('div');
+    row.className = 'profile-row' + (on ? ' selected' : '');
+    row.innerHTML = `
+      <div class="profile-info">
+        <div class="profile-name">${escapeHTML(name)}</div>
+        <div class="profile-detail">${escapeHTML(detail)}</div>
+      </div>
+      <button class="btn btn-sm btn-toggle${on ? ' active' : ''}" data-action="toggle"${available ? '' : ' disabled'}>${on ? 'On' : 'Off'}</button>
+      <button class="btn btn-sm btn-danger" data-action="clear"${available ? '' : ' disabled'}>Clear</button>
+    `;
+    row.querySelector('[data-action="toggle"]').addEventListener('click', () => {
+      toggle();
+      applyLiveFilters();
+    });
+    const del = row.querySelector('[data-action="clear"]');
+    del.addEventListener('click', () => {
+      if (!del.classList.contains('armed')) {
+        del.classList.add('armed');
+        del.textContent = 'Sure?';
+        return;
+      }
+      clear();
+      applyLiveFilters();
+    });
+    return row;
+  }
+
+  // Changes take effect on the recording in progress too
+  function applyLiveFilters() {
+    if (isRecording && shotDetector) {
+      shotDetector.model = useLiveModel ? ShotModel.load() : null;
+      shotDetector.template = useLiveTemplate ? ShotTemplate.load() : null;
+    }
+    renderFilters();
+    updateFiltersButton();
+  }
+
+  function updateFiltersButton() {
+    document.getElementById('btn-filters').classList.toggle('active',
+      (useLiveModel && !!ShotModel.load()) || (useLiveTemplate && !!ShotTemplate.load()));
+  }
+
   function rebuildShotLog() {
     const list = document.getElementById('shot-log-list');
     list.innerHTML = '';
-    // Re-add all shots in reverse order (newest first)
-    for (let i = session.shots.length - 1; i >= 0; i--) {
-      addShotLogEntry(session.shots[i], i + 1);
-    }
+    // Entries are inserted at the top, so add oldest first (IDs are in
+    // detection order); retracted shots keep their place, unnumbered
+    const entries = [...session.shots.map((shot, i) => ({ shot, num: i + 1 })),
+      ...session.retractedShots.map(shot => ({ shot, num: 0 }))];
+    entries.sort((a, b) => a.shot.id - b.shot.id);
+    for (const { shot, num } of entries) addShotLogEntry(shot, num);
     // Re-add voice labels
     const voiceEvents = session.events.filter(e => e.type === 'voice_shot');
     for (const ve of voiceEvents) {
@@ -1082,18 +1705,19 @@ const Tracker = (() => {
     ctx.setLineDash([3, 3]);
     ctx.lineWidth = 1;
 
-    // 14 m/s² line
+    // Min peak line (14 m/s² by default)
+    const cfg = shotDetector.config;
     ctx.strokeStyle = 'rgba(239, 68, 68, 0.3)';
     ctx.beginPath();
-    ctx.moveTo(0, toY(14));
-    ctx.lineTo(w, toY(14));
+    ctx.moveTo(0, toY(cfg.minPeakAbs));
+    ctx.lineTo(w, toY(cfg.minPeakAbs));
     ctx.stroke();
 
-    // 4 m/s² dip threshold line
+    // Max dip threshold line (4 m/s² by default)
     ctx.strokeStyle = 'rgba(34, 197, 94, 0.3)';
     ctx.beginPath();
-    ctx.moveTo(0, toY(4));
-    ctx.lineTo(w, toY(4));
+    ctx.moveTo(0, toY(cfg.maxDipAbs));
+    ctx.lineTo(w, toY(cfg.maxDipAbs));
     ctx.stroke();
 
     // ~10 m/s² (gravity baseline)
@@ -1161,15 +1785,10 @@ const Tracker = (() => {
   }
 
   // ===== Court Drawing =====
-  function drawCourt() {
-    if (!courtCtx) return;
+  // Court meters -> canvas pixels (CSS px); also used to map taps back to meters
+  function courtTransform() {
     const w = courtCanvas.clientWidth;
     const h = courtCanvas.clientHeight;
-    const ctx = courtCtx;
-
-    ctx.clearRect(0, 0, w, h);
-    ctx.fillStyle = '#1a1a1a';
-    ctx.fillRect(0, 0, w, h);
 
     // Court dimensions in meters
     // Half court: 15.24m long, 14.63m wide
@@ -1181,7 +1800,20 @@ const Tracker = (() => {
     const scale = Math.min(w / courtWidth, h / courtHeight) * 0.85;
     const cx = w / 2; // center X
     const by = h - 20; // baseline Y (bottom)
+    return { scale, cx, by };
+  }
 
+  function drawCourt() {
+    if (!courtCtx) return;
+    const w = courtCanvas.clientWidth;
+    const h = courtCanvas.clientHeight;
+    const ctx = courtCtx;
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, w, h);
+
+    const { scale, cx, by } = courtTransform();
     const toCanvasX = (mx) => cx + mx * scale;
     const toCanvasY = (my) => by - my * scale;
 
@@ -1264,10 +1896,17 @@ const Tracker = (() => {
         const sx = toCanvasX(shot.x);
         const sy = toCanvasY(shot.y);
 
-        ctx.fillStyle = shot.color || '#fff';
+        // Misses are drawn as rings, makes and untagged shots as filled dots
         ctx.beginPath();
         ctx.arc(sx, sy, 6, 0, Math.PI * 2);
-        ctx.fill();
+        if (shot.outcome === 'miss') {
+          ctx.strokeStyle = shot.color || '#fff';
+          ctx.lineWidth = 2;
+          ctx.stroke();
+        } else {
+          ctx.fillStyle = shot.color || '#fff';
+          ctx.fill();
+        }
 
         ctx.fillStyle = '#fff';
         ctx.font = 'bold 8px sans-serif';
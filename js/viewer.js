@@ -9,15 +9,48 @@ const Viewer = (() => {
   let selectedShotIdx = -1;
   let mode = 'normal';   // 'normal' | 'addShot' | 'addSegment'
   let segmentStart = null;
+  let detectorConfig = ShotDetector.resolveConfig(); // config of the last detection run
+  let rerunConfig = null; // set once the user re-runs with a different config
+  let candidates = [];   // every candidate peak traced by detector.explain()
+  let nearMisses = [];   // rejected candidates that came close
+  let showDiag = false;  // diagnostic overlay of detector internals
+  let diagSeries = null; // detector.thresholdSeries() for the current config, built on demand
+  let shotModel = ShotModel.load(); // trained post-filter from train_model.js, if imported
+  let useModel = false;  // apply shotModel when re-running detection
+  let rerunModel = null; // model used by the last re-run, recorded in the export
+  let shotTemplate = ShotTemplate.load(); // DTW template of the selected profile's player
+  let useTemplate = false;  // apply shotTemplate when re-running detection
+  let rerunTemplate = null; // template used by the last re-run, recorded in the export
+  let sessionCalibration = null; // calibration embedded in the session, if valid
+  let useSessionCal = false;     // apply sessionCalibration (on by default when present)
+  let rerunCalibration = null;   // calibration used by the last re-run, recorded in the export
 
   // Chart state
   let viewStart = 0;     // sample index of left edge
   let viewEnd = 0;       // sample index of right edge
   let aMags = [];
+  let annotatedIMU = []; // session.imu with aVert/aHoriz (an annotated copy for older recordings)
   let totalSamples = 0;
+  let sensorGaps = [];   // SampleRate.findGaps() of the recording, with the tracker's reason if recorded
+
+  // Extra lanes stacked under the aMag chart, toggled by chip
+  const LANES = [
+    { key: 'ax', label: 'ax', color: '#ef4444', value: s => s.ax },
+    { key: 'ay', label: 'ay', color: '#22c55e', value: s => s.ay },
+    { key: 'az', label: 'az', color: '#3b82f6', value: s => s.az },
+    { key: 'gyro', label: '|gyro|', color: '#f59e0b', value: s => Math.sqrt(s.gx * s.gx + s.gy * s.gy + s.gz * s.gz) },
+    { key: 'gx', label: 'gx', color: '#f87171', value: s => s.gx },
+    { key: 'gy', label: 'gy', color: '#4ade80', value: s => s.gy },
+    { key: 'gz', label: 'gz', color: '#60a5fa', value: s => s.gz },
+    { key: 'vert', label: 'aVert', color: '#22d3ee', value: s => s.aVert },
+    { key: 'horiz', label: 'aHoriz', color: '#e879f9', value: s => s.aHoriz },
+    { key: 'moving', label: 'moving', color: '#a855f7', value: s => s.moving ? 1 : 0, binary: true },
+  ];
+  const LANE_HEIGHT = 48;
+  const activeLanes = new Set();
 
   // DOM refs
-  let signalCanvas, signalCtx, minimapCanvas, minimapCtx;
+  let signalCanvas, signalCtx, minimapCanvas, minimapCtx, lanesCanvas, lanesCtx;
   let dpr = 1;
 
   // Interaction state
@@ -33,9 +66,11 @@ const Viewer = (() => {
   function init() {
     signalCanvas = document.getElementById('signal-canvas');
     minimapCanvas = document.getElementById('minimap-canvas');
+    lanesCanvas = document.getElementById('lanes-canvas');
     dpr = window.devicePixelRatio || 1;
 
     setupFileLoader();
+    setupLaneChips();
     setupToolbar();
     setupPanelTabs();
     setupChartInteraction();
@@ -91,27 +126,79 @@ const Viewer = (() => {
     session = Session.fromJSON(data);
     aMags = session.imu.map(s => s.aMag);
     totalSamples = aMags.length;
+    // Gravity-aligned lanes and shot typing need aVert/aHoriz: annotate a
+    // copy once per session, so the export stays as recorded
+    annotatedIMU = GravityEstimator.annotated(session.imu);
+
+    // Found from timestamps so recordings from before sensor_gap events show them too
+    const gapEvents = session.events.filter(e => e.type === 'sensor_gap');
+    const gapMs = (session.detectorConfig && session.detectorConfig.sensorGapMs) || SENSOR_GAP_MS;
+    sensorGaps = SampleRate.findGaps(session.imu, gapMs).map(g => {
+      const evt = gapEvents.find(e => e.idx === g.idx);
+      return { ...g, reason: evt ? evt.reason : null };
+    });
 
-    // Run shot detection on loaded data
-    const detector = new ShotDetector();
-    const detected = detector.detectAll(session.imu);
+    // Motion calibration the session was recorded under; a malformed one is ignored
+    sessionCalibration = session.calibration && !CalibrationProfiles.validateCalibration(session.calibration)
+      ? session.calibration : null;
+    useSessionCal = !!sessionCalibration;
+    const btnSessionCal = document.getElementById('btn-session-cal');
+    btnSessionCal.disabled = !sessionCalibration;
+    btnSessionCal.classList.toggle('active', useSessionCal);
+
+    // Run shot detection on loaded data, with the config (and calibration) it was recorded under if known
+    populatePresetSelect();
+    const detector = new ShotDetector(session.detectorConfig || undefined);
+    detector.calibration = sessionCalibration;
+    const explained = detector.explain(session.imu);
+    const detected = explained.shots;
+    candidates = explained.candidates;
+    nearMisses = ShotDetector.nearMisses(candidates);
+    diagSeries = null;
+    detectorConfig = detector.config;
+    rerunConfig = null;
+    rerunModel = null;
+    rerunTemplate = null;
+    rerunCalibration = null;
 
     // Use existing shots if they seem to match, otherwise use detected
     if (session.shots.length > 0 && session.shots[0].idx !== undefined) {
       shots = session.shots.map((s, i) => ({
         ...s,
+        // Sessions recorded before jump metrics: estimate from the signal
+        ...(s.airtimeMs === undefined ? jumpAtPeak(session.imu, s.idx, detectorConfig, aMags) : {}),
         num: i + 1,
+        outcome: s.outcome || 'unknown',
         confirmed: true,
         deleted: false,
       }));
+      // Burst-filter retractions: listed greyed-out, restorable, but
+      // otherwise treated like deleted shots
+      for (const r of session.retractedList()) {
+        shots.push({
+          ...r,
+          ...(r.airtimeMs === undefined ? jumpAtPeak(session.imu, r.idx, detectorConfig, aMags) : {}),
+          num: 0,
+          outcome: r.outcome || 'unknown',
+          confirmed: false,
+          deleted: true,
+          retracted: true,
+        });
+      }
+      shots.sort((a, b) => a.idx - b.idx);
+      for (const shot of shots) {
+        if (shot.shotType === undefined) classifyShotType(shot);
+      }
     } else {
       shots = detected.map((s, i) => ({
         ...s,
+        id: session.nextShotId(),
         x: 0, y: 0,
         zone: 'RIM',
         color: zoneColor('RIM'),
         dist: 0,
         num: i + 1,
+        outcome: 'unknown',
         confirmed: false,
         deleted: false,
       }));
@@ -129,13 +216,27 @@ const Viewer = (() => {
     // Show content, hide loader
     document.getElementById('viewer-loader').classList.add('hidden');
     document.getElementById('viewer-content').classList.remove('hidden');
-    document.getElementById('viewer-filename').textContent = filename || session.sessionId;
+    document.getElementById('viewer-filename').textContent = (filename || session.sessionId) +
+      (session.calibrationProfile ? ` · ${CalibrationProfiles.label(session.calibrationProfile)}` : '');
     document.getElementById('btn-undo').disabled = true;
 
     resizeCanvases();
     renderAll();
   }
 
+  function populatePresetSelect() {
+    const select = document.getElementById('viewer-preset');
+    let html = '';
+    if (session.detectorConfig) {
+      // An edited export carries the config its shots were reviewed under
+      const source = session.userEdits && 'recordedDetectorConfig' in session.userEdits ? 'reviewed' : 'recorded';
+      html += `<option value="">${source} (${session.detectorConfig.preset || 'custom'})</option>`;
+    }
+    html += Object.keys(DETECTOR_PRESETS).map(name => `<option value="${name}">${name}</option>`).join('');
+    select.innerHTML = html;
+    select.value = session.detectorConfig ? '' : 'default';
+  }
+
   // ===== Canvas Setup =====
   function resizeCanvases() {
     if (!signalCanvas) return;
@@ -156,6 +257,20 @@ const Viewer = (() => {
     minimapCanvas.height = mh * dpr;
     minimapCtx = minimapCanvas.getContext('2d');
     minimapCtx.scale(dpr, dpr);
+
+    resizeLanes();
+  }
+
+  // Lanes canvas height follows the number of active lanes
+  function resizeLanes() {
+    const count = activeLanes.size;
+    lanesCanvas.classList.toggle('hidden', count === 0);
+    lanesCanvas.style.height = (count * LANE_HEIGHT) + 'px';
+    if (count === 0) return;
+    lanesCanvas.width = lanesCanvas.clientWidth * dpr;
+    lanesCanvas.height = count * LANE_HEIGHT * dpr;
+    lanesCtx = lanesCanvas.getContext('2d');
+    lanesCtx.scale(dpr, dpr);
   }
 
   // ===== Rendering =====
@@ -164,6 +279,8 @@ const Viewer = (() => {
     renderSignal();
     renderShotList();
     renderSegmentList();
+    renderStats();
+    renderNearMissList();
   }
 
   function renderMinimap() {
@@ -199,6 +316,12 @@ const Viewer = (() => {
     }
     ctx.stroke();
 
+    // Sensor gaps on the minimap
+    ctx.fillStyle = 'rgba(245, 158, 11, 0.7)';
+    for (const gap of sensorGaps) {
+      ctx.fillRect((gap.idx / totalSamples) * w - 1, 0, 2, h);
+    }
+
     // Draw shot markers on minimap
     for (const shot of shots) {
       if (shot.deleted) continue;
@@ -256,29 +379,35 @@ const Viewer = (() => {
       ctx.fillRect(Math.max(0, x1), 0, Math.min(w, x2) - Math.max(0, x1), h);
     }
 
-    // Draw threshold lines
-    // 14 m/s² (min peak) and 8 m/s² (max dip)
+    renderSensorGaps(ctx, vStart, vEnd, toX, h);
+
+    // Draw threshold lines: min peak and max dip of the active detector config
     ctx.setLineDash([4, 4]);
     ctx.lineWidth = 1;
 
-    if (14 >= minVal && 14 <= maxVal) {
+    const peakLine = detectorConfig.minPeakAbs;
+    const dipLine = detectorConfig.maxDipAbs;
+
+    if (peakLine >= minVal && peakLine <= maxVal) {
       ctx.strokeStyle = 'rgba(239, 68, 68, 0.3)';
       ctx.beginPath();
-      ctx.moveTo(0, toY(14));
-      ctx.lineTo(w, toY(14));
+      ctx.moveTo(0, toY(peakLine));
+      ctx.lineTo(w, toY(peakLine));
       ctx.stroke();
     }
 
-    if (8 >= minVal && 8 <= maxVal) {
+    if (dipLine >= minVal && dipLine <= maxVal) {
       ctx.strokeStyle = 'rgba(34, 197, 94, 0.3)';
       ctx.beginPath();
-      ctx.moveTo(0, toY(8));
-      ctx.lineTo(w, toY(8));
+      ctx.moveTo(0, toY(dipLine));
+      ctx.lineTo(w, toY(dipLine));
       ctx.stroke();
     }
 
     ctx.setLineDash([]);
 
+    if (showDiag) renderDiagSeries(ctx, vStart, vEnd, toX, toY);
+
     // Draw signal line
     ctx.strokeStyle = '#aaa';
     ctx.lineWidth = 1.5;
@@ -288,7 +417,8 @@ const Viewer = (() => {
     for (let i = vStart; i < vEnd; i += step) {
       const x = toX(i);
       const y = toY(aMags[i]);
-      if (i === vStart) ctx.moveTo(x, y);
+      // Don't join samples across a sensor gap
+      if (i === vStart || sensorGaps.some(g => g.idx > i - step && g.idx <= i)) ctx.moveTo(x, y);
       else ctx.lineTo(x, y);
     }
     ctx.stroke();
@@ -324,6 +454,8 @@ const Viewer = (() => {
       ctx.fillText('#' + shot.num, x, 14);
     }
 
+    if (showDiag) renderDiagMarkers(ctx, vStart, vEnd, toX, toY);
+
     // Y-axis labels
     ctx.fillStyle = '#666';
     ctx.font = '10px sans-serif';
@@ -371,6 +503,296 @@ const Viewer = (() => {
         ctx.stroke();
       }
     }
+
+    renderLanes();
+  }
+
+  // ===== Signal Lanes =====
+  function setupLaneChips() {
+    const row = document.getElementById('lane-chips');
+    row.innerHTML = LANES.map(lane =>
+      `<button class="lane-chip" data-lane="${lane.key}" style="border-left-color:${lane.color}">${lane.label}</button>`
+    ).join('');
+    row.querySelectorAll('.lane-chip').forEach(chip => {
+      chip.addEventListener('click', () => {
+        const key = chip.dataset.lane;
+        if (activeLanes.has(key)) activeLanes.delete(key);
+        else activeLanes.add(key);
+        chip.classList.toggle('active', activeLanes.has(key));
+        resizeLanes();
+        renderLanes();
+      });
+    });
+  }
+
+  // Draw the active lanes over the same sample window as the signal chart,
+  // each auto-scaled to its visible range, with shot markers carried through
+  function renderLanes() {
+    if (!lanesCtx || !session || totalSamples === 0) return;
+    const lanes = LANES.filter(l => activeLanes.has(l.key));
+    if (lanes.length === 0) return;
+
+    const w = lanesCanvas.clientWidth;
+    const h = lanes.length * LANE_HEIGHT;
+    const ctx = lanesCtx;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, w, h);
+
+    const vStart = Math.max(0, Math.floor(viewStart));
+    const vEnd = Math.min(totalSamples, Math.ceil(viewEnd));
+    const viewRange = vEnd - vStart;
+    if (viewRange <= 0) return;
+    const toX = (idx) => ((idx - vStart) / viewRange) * w;
+    const step = Math.max(1, Math.floor(viewRange / (w * 2)));
+
+    lanes.forEach((lane, li) => {
+      const top = li * LANE_HEIGHT;
+
+      if (li > 0) {
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, top + 0.5);
+        ctx.lineTo(w, top + 0.5);
+        ctx.stroke();
+      }
+
+      if (lane.binary) {
+        // Filled spans where the flag is set
+        ctx.fillStyle = lane.color + '60';
+        for (let i = vStart; i < vEnd; i += step) {
+          if (lane.value(annotatedIMU[i])) {
+            ctx.fillRect(toX(i), top + 8, Math.max(1, toX(i + step) - toX(i)), LANE_HEIGHT - 16);
+          }
+        }
+      } else {
+        let minVal = Infinity, maxVal = -Infinity;
+        for (let i = vStart; i < vEnd; i++) {
+          const v = lane.value(annotatedIMU[i]);
+          if (v < minVal) minVal = v;
+          if (v > maxVal) maxVal = v;
+        }
+        if (!isFinite(minVal)) return;
+        const padding = (maxVal - minVal) * 0.1 || 1;
+        minVal -= padding;
+        maxVal += padding;
+        const toY = (val) => top + LANE_HEIGHT - ((val - minVal) / (maxVal - minVal)) * LANE_HEIGHT;
+
+        // Zero line, when in range
+        if (minVal < 0 && maxVal > 0) {
+          ctx.strokeStyle = '#2a2a2a';
+          ctx.beginPath();
+          ctx.moveTo(0, toY(0));
+          ctx.lineTo(w, toY(0));
+          ctx.stroke();
+        }
+
+        ctx.strokeStyle = lane.color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = vStart; i < vEnd; i += step) {
+          const x = toX(i);
+          const y = toY(lane.value(annotatedIMU[i]));
+          if (i === vStart) ctx.moveTo(x, y);
+          else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+      }
+
+      ctx.fillStyle = '#888';
+      ctx.font = '10px sans-serif';
+      ctx.textAlign = 'left';
+      ctx.fillText(lane.label, 4, top + 11);
+    });
+
+    // Shot markers through every lane, to line up with the aMag peaks
+    for (const shot of shots) {
+      if (shot.deleted || shot.idx < vStart || shot.idx > vEnd) continue;
+      ctx.strokeStyle = (shot.color || zoneColor(shot.zone)) + '80';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(toX(shot.idx), 0);
+      ctx.lineTo(toX(shot.idx), h);
+      ctx.stroke();
+    }
+  }
+
+  // ===== Diagnostic Overlay =====
+  const DIAG_SERIES_COLORS = {
+    mean: 'rgba(96, 165, 250, 0.7)',
+    peak: 'rgba(239, 68, 68, 0.7)',
+    dip: 'rgba(34, 197, 94, 0.7)',
+    recovery: 'rgba(245, 158, 11, 0.7)',
+  };
+
+  // Baseline mean and the per-sample peak/dip/recovery levels the detector used
+  function renderDiagSeries(ctx, vStart, vEnd, toX, toY) {
+    if (!diagSeries) diagSeries = new ShotDetector(detectorConfig).thresholdSeries(session.imu);
+    const step = Math.max(1, Math.floor((vEnd - vStart) / (signalCanvas.clientWidth * 2)));
+
+    // Detector input, when it isn't the aMag line already drawn
+    if (detectorConfig.signal !== 'aMag') {
+      ctx.strokeStyle = 'rgba(34, 211, 238, 0.8)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let i = vStart; i < vEnd; i += step) {
+        if (i === vStart) ctx.moveTo(toX(i), toY(diagSeries.signal[i]));
+        else ctx.lineTo(toX(i), toY(diagSeries.signal[i]));
+      }
+      ctx.stroke();
+    }
+
+    ctx.lineWidth = 1;
+    for (const key of Object.keys(DIAG_SERIES_COLORS)) {
+      const values = diagSeries[key];
+      ctx.strokeStyle = DIAG_SERIES_COLORS[key];
+      ctx.setLineDash(key === 'mean' ? [] : [3, 3]);
+      ctx.beginPath();
+      let drawing = false;
+      for (let i = vStart; i < vEnd; i += step) {
+        if (values[i] === null) { drawing = false; continue; }
+        if (drawing) ctx.lineTo(toX(i), toY(values[i]));
+        else ctx.moveTo(toX(i), toY(values[i]));
+        drawing = true;
+      }
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+  }
+
+  // Dip/recovery points of each shot, and hollow markers for candidates that
+  // cleared the peak level but were rejected later (sub-peak local maxima are
+  // everywhere and already explained by the peak line)
+  function renderDiagMarkers(ctx, vStart, vEnd, toX, toY) {
+    for (const shot of shots) {
+      if (shot.deleted) continue;
+      for (const [idx, color] of [[shot.dipIdx, DIAG_SERIES_COLORS.dip], [shot.recIdx, DIAG_SERIES_COLORS.recovery]]) {
+        if (idx === undefined || idx === null || idx < vStart || idx > vEnd) continue;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(toX(idx), toY(aMags[idx]), 3, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    ctx.lineWidth = 1.5;
+    for (const cand of diagCandidates()) {
+      if (cand.idx < vStart || cand.idx > vEnd) continue;
+      ctx.strokeStyle = cand.rejectedBy === 'burst-filter' ? '#f59e0b' : '#888';
+      ctx.beginPath();
+      ctx.arc(toX(cand.idx), toY(cand.mag), 4, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+
+  function diagCandidates() {
+    return candidates.filter(c => c.rejectedBy && c.rejectedBy !== 'peak' && c.rejectedBy !== 'baseline');
+  }
+
+  // Hover details: consensus votes and calibration verdict for the shot or
+  // rejected candidate under the cursor
+  function updateDiagTooltip(e) {
+    const tip = document.getElementById('diag-tooltip');
+    const rect = signalCanvas.getBoundingClientRect();
+    const px = e.clientX - rect.left;
+    const vRange = viewEnd - viewStart;
+    if (vRange <= 0) return hideDiagTooltip();
+    const toX = (idx) => ((idx - viewStart) / vRange) * rect.width;
+
+    let best = null;
+    const consider = (item, kind) => {
+      const d = Math.abs(toX(item.idx) - px);
+      if (d <= 8 && (!best || d < best.d)) best = { item, kind, d };
+    };
+    shots.filter(s => !s.deleted).forEach(s => consider(s, 'shot'));
+    diagCandidates().forEach(c => consider(c, 'candidate'));
+    if (!best) return hideDiagTooltip();
+
+    const { item, kind } = best;
+    // Shots loaded from a file or added by hand may lack dip/recovery
+    // indices — fall back to the trace of the same peak
+    const traced = kind === 'shot' ? candidates.find(c => c.idx === item.idx) : item;
+    const dipIdx = item.dipIdx ?? traced?.dipIdx ?? null;
+    const recIdx = item.recIdx ?? traced?.recIdx ?? null;
+
+    const lines = [];
+    if (kind === 'shot') {
+      let head = `Shot #${item.num}  peak ${aMags[item.idx].toFixed(1)}`;
+      if (dipIdx !== null) head += `  dip ${aMags[dipIdx].toFixed(1)}`;
+      if (recIdx !== null) head += `  rec ${aMags[recIdx].toFixed(1)}`;
+      lines.push(head);
+      if (traced && traced.rejectedBy) lines.push(`Detector: ${ShotDetector.describeRejection(traced)}`);
+    } else {
+      lines.push(`Rejected (${item.rejectedBy}): ${ShotDetector.describeRejection(item)}`);
+    }
+
+    // Consensus votes — recorded if consensus ran, otherwise computed here
+    let consensus = item.consensus;
+    if (!consensus && dipIdx !== null && recIdx !== null) {
+      consensus = ShotDetectorConsensus.evaluate(aMags, item.idx, dipIdx, recIdx, {}, session.imu);
+    }
+    if (consensus) {
+      const score = typeof consensus.score === 'number'
+        ? ` score ${consensus.score.toFixed(2)}/${consensus.threshold.toFixed(2)}` : '';
+      lines.push(`Consensus ${consensus.votes}/${consensus.total}${score}${item.consensus ? '' : ' (not applied)'}`);
+      for (const m of consensus.methods) {
+        const weight = typeof m.weight === 'number' && m.weight !== 1 ? ` ×${m.weight}` : '';
+        lines.push(`  ${m.vote ? '+' : '-'} ${m.name}${weight}: ${m.detail}`);
+      }
+    }
+    const cadence = traced?.cadence;
+    if (cadence) {
+      lines.push(`Cadence: ${Math.round(cadence.stepsPerMin)} steps/min  r=${cadence.corr.toFixed(2)}  phase ${cadence.phase.toFixed(2)}`);
+    }
+    const match = shotTemplate ? ShotTemplate.match(shotTemplate, session.imu, item.idx) : null;
+    if (match) {
+      lines.push(`Template: dtw ${match.distance.toFixed(2)} / ${match.threshold.toFixed(2)}${rerunTemplate ? '' : ' (not applied)'}`);
+    }
+    lines.push(item.calibResult ? `Calibration: ${item.calibResult.reason}` : 'Calibration: not applied');
+
+    tip.textContent = lines.join('\n');
+    tip.classList.remove('hidden');
+    const left = Math.min(px + 12, rect.width - tip.offsetWidth - 4);
+    tip.style.left = Math.max(4, left) + 'px';
+    tip.style.top = '20px';
+  }
+
+  // Sensor gaps sit between two consecutive samples, so on the index axis
+  // they get a fixed-width hatched band with the missing duration
+  function renderSensorGaps(ctx, vStart, vEnd, toX, h) {
+    const GAP_WIDTH = 8;
+    for (const gap of sensorGaps) {
+      if (gap.idx < vStart || gap.idx > vEnd) continue;
+      const xMid = (toX(gap.idx - 1) + toX(gap.idx)) / 2;
+      const halfWidth = Math.max(GAP_WIDTH, toX(gap.idx) - toX(gap.idx - 1)) / 2;
+      const x1 = xMid - halfWidth;
+
+      ctx.save();
+      ctx.fillStyle = 'rgba(245, 158, 11, 0.12)';
+      ctx.fillRect(x1, 0, halfWidth * 2, h);
+      ctx.beginPath();
+      ctx.rect(x1, 0, halfWidth * 2, h);
+      ctx.clip();
+      ctx.strokeStyle = 'rgba(245, 158, 11, 0.6)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let y = -halfWidth * 2; y < h + halfWidth * 2; y += 6) {
+        ctx.moveTo(x1, y + halfWidth * 2);
+        ctx.lineTo(x1 + halfWidth * 2, y);
+      }
+      ctx.stroke();
+      ctx.restore();
+
+      ctx.fillStyle = 'rgba(245, 158, 11, 0.9)';
+      ctx.font = '10px ' + getComputedStyle(document.body).getPropertyValue('--mono');
+      ctx.textAlign = 'left';
+      ctx.fillText(`gap ${(gap.durationMs / 1000).toFixed(1)}s${gap.reason === 'hidden' ? ' (hidden)' : ''}`, xMid + halfWidth + 3, h - 6);
+    }
+  }
+
+  function hideDiagTooltip() {
+    document.getElementById('diag-tooltip').classList.add('hidden');
   }
 
   function segmentColor(label) {
@@ -389,26 +811,47 @@ const Viewer = (() => {
     const list = document.getElementById('viewer-shot-list');
     list.innerHTML = '';
 
-    const activeShots = shots.filter(s => !s.deleted);
-    if (activeShots.length === 0) {
+    const listed = shots.filter(s => !s.deleted || s.retracted);
+    if (listed.length === 0) {
       list.innerHTML = '<div style="color:var(--text-dim);padding:12px;text-align:center">No shots detected</div>';
       return;
     }
 
-    activeShots.forEach((shot, vi) => {
+    listed.forEach((shot, vi) => {
       // Find the actual index in the shots array
       const si = shots.indexOf(shot);
       const div = document.createElement('div');
+      if (shot.retracted) {
+        div.className = 'viewer-shot-item retracted';
+        div.innerHTML = `
+          <div class="viewer-shot-num">–</div>
+          <div class="viewer-shot-info">
+            <div class="viewer-shot-zone">${shot.zone || 'Unknown'} <span class="shot-type-badge">${SHOT_TYPE_LABELS[shot.shotType || 'unknown']}</span></div>
+            <div class="viewer-shot-detail">Peak: ${shot.mag?.toFixed(1)} | Retracted: ${RETRACT_REASON_LABELS[shot.retractReason] || shot.retractReason}</div>
+          </div>
+          <div class="viewer-shot-actions">
+            <button class="btn btn-sm" data-action="restore" data-idx="${si}">Restore</button>
+          </div>
+        `;
+        div.addEventListener('click', (e) => {
+          if (e.target.closest('[data-action]')) return;
+          scrollToShot(shot);
+        });
+        list.appendChild(div);
+        return;
+      }
       div.className = 'viewer-shot-item' + (si === selectedShotIdx ? ' selected' : '');
       div.innerHTML = `
         <div class="viewer-shot-num" style="background:${shot.color || zoneColor(shot.zone)}">${shot.num}</div>
         <div class="viewer-shot-info">
-          <div class="viewer-shot-zone">${shot.zone || 'Unknown'}</div>
+          <div class="viewer-shot-zone">${shot.zone || 'Unknown'} <span class="shot-type-badge">${SHOT_TYPE_LABELS[shot.shotType || 'unknown']}${shot.shotTypeEdited ? '' : shot.shotTypeConfidence !== undefined ? ` ${Math.round(shot.shotTypeConfidence * 100)}%` : ''}</span></div>
           <div class="viewer-shot-detail">
-            Peak: ${shot.mag?.toFixed(1)} | Dip: ${shot.dipMag?.toFixed(1)} | Range: ${shot.range?.toFixed(1)}
+            Peak: ${shot.mag?.toFixed(1)} | Dip: ${shot.dipMag?.toFixed(1)} | Range: ${shot.range?.toFixed(1)}${shot.airtimeMs > 0 ? ` | Air: ${Math.round(shot.airtimeMs)}ms (${formatJump(shot.jumpHeight)})` : ''}
           </div>
         </div>
         <div class="viewer-shot-actions">
+          <button class="btn outcome-btn make${shot.outcome === 'make' ? ' active' : ''}" data-action="outcome" data-outcome="make" data-idx="${si}">Make</button>
+          <button class="btn outcome-btn miss${shot.outcome === 'miss' ? ' active' : ''}" data-action="outcome" data-outcome="miss" data-idx="${si}">Miss</button>
           <button class="btn btn-sm" data-action="edit" data-idx="${si}">Edit</button>
           <button class="btn btn-sm btn-danger" data-action="delete" data-idx="${si}">Del</button>
         </div>
@@ -432,6 +875,12 @@ const Viewer = (() => {
     list.querySelectorAll('[data-action="delete"]').forEach(btn => {
       btn.addEventListener('click', () => deleteShot(parseInt(btn.dataset.idx)));
     });
+    list.querySelectorAll('[data-action="outcome"]').forEach(btn => {
+      btn.addEventListener('click', () => setOutcome(parseInt(btn.dataset.idx), btn.dataset.outcome));
+    });
+    list.querySelectorAll('[data-action="restore"]').forEach(btn => {
+      btn.addEventListener('click', () => restoreShot(parseInt(btn.dataset.idx)));
+    });
   }
 
   function scrollToShot(shot) {
@@ -488,6 +937,157 @@ const Viewer = (() => {
     });
   }
 
+  // ===== Near Misses =====
+  // Candidates the detector rejected by a small margin, with the reason.
+  // Ones already covered by a shot in the working list are hidden.
+  function renderNearMissList() {
+    const list = document.getElementById('viewer-near-miss-list');
+    list.innerHTML = '';
+
+    const activeShots = shots.filter(s => !s.deleted);
+    const visible = nearMisses.filter(c => !activeShots.some(s => Math.abs(s.idx - c.idx) < 20));
+    if (visible.length === 0) {
+      list.innerHTML = '<div style="color:var(--text-dim);padding:12px;text-align:center">No near misses</div>';
+      return;
+    }
+
+    visible.forEach(cand => {
+      const div = document.createElement('div');
+      div.className = 'viewer-shot-item near-miss';
+      const tSec = (cand.tRel || 0) / 1000;
+      div.innerHTML = `
+        <div class="viewer-shot-num">?</div>
+        <div class="viewer-shot-info">
+          <div class="viewer-shot-zone">${formatTimeFromSec(tSec)} | Peak: ${cand.mag.toFixed(1)} | ${cand.rejectedBy}</div>
+          <div class="viewer-shot-detail">${ShotDetector.describeRejection(cand)}</div>
+        </div>
+        <div class="viewer-shot-actions">
+          <button class="btn btn-sm" data-action="add">Add</button>
+        </div>
+      `;
+
+      div.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="add"]')) {
+          addShotFromCandidate(cand);
+          return;
+        }
+        scrollToShot(cand);
+      });
+
+      list.appendChild(div);
+    });
+  }
+
+  function addShotFromCandidate(cand) {
+    pushUndo();
+    const sample = session.imu[cand.idx];
+    const dipMag = cand.dipIdx !== null ? aMags[cand.dipIdx] : 0;
+    shots.push(classifyShotType({
+      id: session.nextShotId(),
+      idx: cand.idx,
+      mag: cand.mag,
+      dipMag,
+      recoveryMag: cand.recIdx !== null ? aMags[cand.recIdx] : 0,
+      range: cand.dipIdx !== null ? cand.mag - dipMag : 0,
+      t: sample?.t || 0,
+      tRel: sample?.tRel || 0,
+      ...jumpAtPeak(session.imu, cand.idx, detectorConfig, aMags),
+      x: 0, y: 0,
+      zone: 'RIM',
+      color: zoneColor('RIM'),
+      dist: 0,
+      num: 0,
+      outcome: 'unknown',
+      confirmed: false,
+      deleted: false,
+      userAdded: true,
+    }));
+    shots.sort((a, b) => a.idx - b.idx);
+    renumberShots();
+    renderAll();
+  }
+
+  // Auto-classify a loaded or hand-added shot (detected shots arrive typed)
+  function classifyShotType(shot) {
+    const result = ShotTypeClassifier.classifyShot(annotatedIMU, shot, detectorConfig, aMags);
+    shot.shotType = result.type;
+    shot.shotTypeConfidence = result.confidence;
+    return shot;
+  }
+
+  // ===== Stats =====
+  function renderStats() {
+    const el = document.getElementById('viewer-stats');
+    const activeShots = shots.filter(s => !s.deleted);
+    if (activeShots.length === 0) {
+      el.innerHTML = '<div style="color:var(--text-dim);padding:12px;text-align:center">No shots</div>';
+      return;
+    }
+
+    const stats = shootingStats(activeShots);
+    const row = (label, stat, color, cls = '') => `
+      <tr class="${cls}">
+        <td style="border-left-color:${color}">${label}</td>
+        <td>${stat.attempts}</td>
+        <td>${stat.makes}</td>
+        <td>${stat.misses}</td>
+        <td>${stat.pct === null ? '--' : Math.round(stat.pct * 100) + '%'}</td>
+      </tr>`;
+
+    let rows = '';
+    for (const zone of Object.keys(stats.zones)) {
+      rows += row(zone, stats.zones[zone], zoneColor(zone));
+    }
+    rows += row('Total', stats.total, 'transparent', 'total');
+
+    let typeRows = '';
+    for (const type of SHOT_TYPES.filter(t => stats.types[t])) {
+      typeRows += row(SHOT_TYPE_LABELS[type], stats.types[type], 'transparent');
+    }
+
+    el.innerHTML = `
+      <table class="viewer-stats-table">
+        <tr><th>Zone</th><th>Att</th><th>Make</th><th>Miss</th><th>FG%</th></tr>
+        ${rows}
+      </table>
+      <table class="viewer-stats-table">
+        <tr><th>Type</th><th>Att</th><th>Make</th><th>Miss</th><th>FG%</th></tr>
+        ${typeRows}
+      </table>
+      ${renderJumpTrend(activeShots)}
+      ${renderGapSummary()}`;
+  }
+
+  function renderGapSummary() {
+    if (sensorGaps.length === 0) return '';
+    const total = sensorGaps.reduce((a, g) => a + g.durationMs, 0);
+    const hidden = sensorGaps.filter(g => g.reason === 'hidden').length;
+    return `
+      <div class="viewer-jump-summary">Sensor gaps: ${sensorGaps.length}, ${(total / 1000).toFixed(1)}s missing` +
+      `${hidden ? ` (${hidden} while hidden)` : ''}</div>`;
+  }
+
+  // Jump height per shot in order, as bars, with the early/late change
+  function renderJumpTrend(activeShots) {
+    const trend = jumpTrend(activeShots);
+    if (trend.count === 0) return '';
+    const max = Math.max(...trend.heights);
+    const bars = trend.heights.map(h =>
+      `<div class="jump-bar" style="height:${Math.max(4, h / max * 100)}%" title="${formatJump(h)}"></div>`
+    ).join('');
+    let summary = `avg ${formatJump(trend.mean)} over ${trend.count} jumps`;
+    if (trend.count >= 3) {
+      const pct = Math.round(trend.change * 100);
+      summary += ` | first ${formatJump(trend.early)} → last ${formatJump(trend.late)} (${pct >= 0 ? '+' : ''}${pct}%)`;
+    }
+    return `
+      <div class="viewer-jump-trend">
+        <div class="viewer-jump-title">Jump height${trend.count >= 3 && trend.change <= -0.15 ? ' <span class="jump-trend fading">fading</span>' : ''}</div>
+        <div class="jump-bars">${bars}</div>
+        <div class="viewer-jump-summary">${summary}</div>
+      </div>`;
+  }
+
   // ===== Shot Editing =====
   function editShot(idx) {
     selectedShotIdx = idx;
@@ -509,9 +1109,31 @@ const Viewer = (() => {
       options.appendChild(btn);
     });
 
+    const typeOptions = document.getElementById('shot-type-options');
+    typeOptions.innerHTML = '';
+    SHOT_TYPES.filter(t => t !== 'unknown').forEach(type => {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-sm' + (type === shot.shotType ? ' selected' : '');
+      btn.textContent = SHOT_TYPE_LABELS[type];
+      btn.dataset.shotType = type;
+      btn.addEventListener('click', () => {
+        typeOptions.querySelectorAll('.btn').forEach(b => b.classList.remove('selected'));
+        btn.classList.add('selected');
+      });
+      typeOptions.appendChild(btn);
+    });
+
     modal.classList.remove('hidden');
   }
 
+  function setOutcome(idx, outcome) {
+    pushUndo();
+    // Tapping the active outcome again clears it
+    shots[idx].outcome = shots[idx].outcome === outcome ? 'unknown' : outcome;
+    renderShotList();
+    renderStats();
+  }
+
   function deleteShot(idx) {
     pushUndo();
     shots[idx].deleted = true;
@@ -519,6 +1141,36 @@ const Viewer = (() => {
     renderAll();
   }
 
+  function restoreShot(idx) {
+    pushUndo();
+    const shot = shots[idx];
+    shot.deleted = false;
+    shot.retracted = false;
+    shot.restored = true;
+    delete shot.retractReason;
+    renumberShots();
+    renderAll();
+  }
+
+  // What a re-detected shot keeps from the shot at its peak before a rerun
+  function carriedOver(prev) {
+    const kept = {
+      id: prev.id,
+      x: prev.x, y: prev.y,
+      zone: prev.zone,
+      color: prev.color,
+      dist: prev.dist,
+      outcome: prev.outcome,
+      confirmed: prev.confirmed,
+      deleted: prev.deleted,
+      num: prev.num,
+    };
+    if (prev.retracted) Object.assign(kept, { retracted: true, retractReason: prev.retractReason });
+    if (prev.restored) kept.restored = true;
+    if (prev.shotTypeEdited) Object.assign(kept, { shotType: prev.shotType, shotTypeEdited: true });
+    return kept;
+  }
+
   function renumberShots() {
     let num = 1;
     for (const shot of shots) {
@@ -552,6 +1204,7 @@ const Viewer = (() => {
   function setupToolbar() {
     document.getElementById('btn-load-new').addEventListener('click', () => {
       session = null;
+      annotatedIMU = [];
       shots = [];
       segments = [];
       undoStack = [];
@@ -563,18 +1216,47 @@ const Viewer = (() => {
     document.getElementById('btn-rerun').addEventListener('click', () => {
       if (!session) return;
       pushUndo();
-      const detector = new ShotDetector();
-      const detected = detector.detectAll(session.imu);
-      shots = detected.map((s, i) => ({
-        ...s,
-        x: 0, y: 0,
-        zone: 'RIM',
-        color: zoneColor('RIM'),
-        dist: 0,
-        num: i + 1,
-        confirmed: false,
-        deleted: false,
-      }));
+      // Empty value = the config the session was recorded with
+      const preset = document.getElementById('viewer-preset').value;
+      const detector = new ShotDetector(preset || session.detectorConfig);
+      if (useModel && shotModel) detector.model = shotModel;
+      rerunModel = detector.model;
+      if (useTemplate && shotTemplate) detector.template = shotTemplate;
+      rerunTemplate = detector.template;
+      if (useSessionCal && sessionCalibration) detector.calibration = sessionCalibration;
+      rerunCalibration = detector.calibration;
+      const explained = detector.explain(session.imu);
+      const detected = explained.shots;
+      candidates = explained.candidates;
+      nearMisses = ShotDetector.nearMisses(candidates);
+      diagSeries = null;
+      detectorConfig = detector.config;
+      rerunConfig = detector.config;
+      // A re-detected peak keeps the shot it was before the rerun — its ID
+      // and everything the recording or the user set on it. Retracted and
+      // hand-added shots the rerun doesn't find stay listed, so the export
+      // still matches the session's shot_retracted events.
+      const before = new Map(shots.map(s => [s.idx, s]));
+      shots = detected.map(s => {
+        const prev = before.get(s.idx);
+        before.delete(s.idx);
+        return prev ? { ...s, ...carriedOver(prev) } : {
+          ...s,
+          id: session.nextShotId(),
+          x: 0, y: 0,
+          zone: 'RIM',
+          color: zoneColor('RIM'),
+          dist: 0,
+          outcome: 'unknown',
+          confirmed: false,
+          deleted: false,
+        };
+      });
+      for (const prev of before.values()) {
+        if (prev.retracted || prev.userAdded) shots.push(prev);
+      }
+      shots.sort((a, b) => a.idx - b.idx);
+      renumberShots();
       renderAll();
     });
 
@@ -603,11 +1285,127 @@ const Viewer = (() => {
       renderSignal();
     });
 
+    document.getElementById('btn-diag').addEventListener('click', (e) => {
+      showDiag = !showDiag;
+      e.currentTarget.classList.toggle('active', showDiag);
+      if (!showDiag) hideDiagTooltip();
+      renderSignal();
+    });
+
+    const btnModel = document.getElementById('btn-model');
+    btnModel.disabled = !shotModel;
+    btnModel.addEventListener('click', () => {
+      useModel = !useModel;
+      btnModel.classList.toggle('active', useModel);
+    });
+
+    const btnSessionCal = document.getElementById('btn-session-cal');
+    btnSessionCal.addEventListener('click', () => {
+      useSessionCal = !useSessionCal;
+      btnSessionCal.classList.toggle('active', useSessionCal);
+    });
+
+    const modelInput = document.getElementById('model-input');
+    document.getElementById('btn-import-model').addEventListener('click', () => modelInput.click());
+    modelInput.addEventListener('change', (e) => {
+      if (e.target.files[0]) importModel(e.target.files[0]);
+      modelInput.value = '';
+    });
+
+    const btnTemplate = document.getElementById('btn-template');
+    btnTemplate.disabled = !shotTemplate;
+    btnTemplate.addEventListener('click', () => {
+      useTemplate = !useTemplate;
+      btnTemplate.classList.toggle('active', useTemplate);
+    });
+    document.getElementById('btn-build-template').addEventListener('click', buildTemplate);
+    document.getElementById('btn-add-to-cal').addEventListener('click', addToCalibration);
+
     document.getElementById('btn-undo').addEventListener('click', undo);
 
     document.getElementById('btn-viewer-export').addEventListener('click', exportSession);
   }
 
+  // Store a model from train_model.js; the tracker picks it up on the next recording
+  function importModel(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      let model;
+      try {
+        model = JSON.parse(e.target.result);
+      } catch (err) {
+        alert('Failed to parse JSON: ' + err.message);
+        return;
+      }
+      const error = ShotModel.validate(model);
+      if (error) {
+        alert('Invalid shot model: ' + error);
+        return;
+      }
+      ShotModel.save(model);
+      shotModel = model;
+      const btnModel = document.getElementById('btn-model');
+      btnModel.disabled = false;
+      useModel = true;
+      btnModel.classList.add('active');
+      const acc = model.cv && model.cv.accuracy !== null && model.cv.accuracy !== undefined
+        ? ` (cross-validated accuracy ${Math.round(model.cv.accuracy * 100)}%)` : '';
+      alert(`Shot model imported${acc}. Re-run detection to apply it; to use it live, switch it on under Filters in the tracker.`);
+    };
+    reader.readAsText(file);
+  }
+
+  // Average the session's kept shots into the player's template, kept with
+  // the selected calibration profile; the tracker applies it once switched
+  // on under Filters
+  function buildTemplate() {
+    if (!session) return;
+    const kept = shots.filter(s => !s.deleted);
+    const template = ShotTemplate.build(session.imu, kept.map(s => s.idx));
+    if (!template) {
+      alert(`Need at least ${SHOT_TEMPLATE_PARAMS.minShots} complete shots to build a template (have ${kept.length}).`);
+      return;
+    }
+    ShotTemplate.save(template);
+    shotTemplate = template;
+    const btnTemplate = document.getElementById('btn-template');
+    btnTemplate.disabled = false;
+    useTemplate = true;
+    btnTemplate.classList.add('active');
+    const profile = CalibrationProfiles.selected();
+    alert(`Shot template built from ${template.count} shots (DTW threshold ${template.threshold.toFixed(2)}) ` +
+      `and saved to "${CalibrationProfiles.label(profile)}". Re-run detection to apply it.`);
+  }
+
+  // Reviewed data as calibration: kept shots are shooting patterns, labeled
+  // walking/jogging/dribble segments the noise activities. Merged into the
+  // profile selected in the tracker as a new version (rollback in Profiles).
+  function addToCalibration() {
+    if (!session) return;
+    const profile = CalibrationProfiles.selected();
+    if (!profile) {
+      alert('Select or create a calibration profile in the tracker first.');
+      return;
+    }
+    if (profile.calibration && (profile.calibration.sessions || []).includes(session.sessionId)) {
+      alert(`This session is already part of "${CalibrationProfiles.label(profile)}". Roll back in Profiles to add it again.`);
+      return;
+    }
+
+    const kept = shots.filter(s => !s.deleted);
+    const patterns = MotionCalibrator.patternsFromLabels(session.imu, kept.map(s => s.idx), segments);
+    const counts = CALIB_ACTIVITIES.map(label => [label, patterns[label].length]).filter(([, n]) => n > 0);
+    if (counts.length === 0) {
+      alert('Nothing to add: keep some shots or label walking/jogging/dribble segments first.');
+      return;
+    }
+
+    const addition = MotionCalibrator.fromPatterns(patterns);
+    addition.sessions = [session.sessionId];
+    const cal = MotionCalibrator.accumulate(addition, 'viewer');
+    alert(`Added ${counts.map(([label, n]) => `${n} ${label}`).join(', ')} to "${CalibrationProfiles.label(profile)}" (now v${cal.version}, ${cal.patternCounts.shooting || 0} shots in total).`);
+  }
+
   function showModeIndicator(text) {
     removeModeIndicator();
     const div = document.createElement('div');
@@ -668,6 +1466,25 @@ const Viewer = (() => {
       sc.style.cursor = 'grab';
     });
 
+    // Lanes share the signal chart's view: drag to pan, wheel to zoom
+    lanesCanvas.addEventListener('mousedown', (e) => {
+      isDragging = true;
+      dragStartX = e.clientX;
+      dragStartView = viewStart;
+    });
+    lanesCanvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      const rect = lanesCanvas.getBoundingClientRect();
+      zoom(e.deltaY > 0 ? 1.15 : 0.87, (e.clientX - rect.left) / rect.width);
+    }, { passive: false });
+
+    // Diagnostic overlay hover
+    sc.addEventListener('mousemove', (e) => {
+      if (showDiag && !isDragging && mode === 'normal') updateDiagTooltip(e);
+      else hideDiagTooltip();
+    });
+    sc.addEventListener('mouseleave', hideDiagTooltip);
+
     // Mouse wheel zoom
     sc.addEventListener('wheel', (e) => {
       e.preventDefault();
@@ -677,14 +1494,47 @@ const Viewer = (() => {
       zoom(zoomFactor, mouseRatio);
     }, { passive: false });
 
-    // Touch: pan + pinch zoom
-    let lastTouches = [];
-    sc.addEventListener('touchstart', (e) => {
-      if (mode !== 'normal' && e.touches.length === 1) {
-        handleChartTouch(e);
+    // Touch: pan + pinch zoom — on the signal chart (where a tap in an edit
+    // mode places a shot or segment instead) and on the lanes, which share its view
+    addTouchPanZoom(sc, handleChartTouch);
+    addTouchPanZoom(lanesCanvas, null);
+
+    // Minimap click/drag to set viewport
+    minimapCanvas.addEventListener('mousedown', (e) => {
+      minimapDragging = true;
+      setViewFromMinimap(e);
+    });
+    window.addEventListener('mousemove', (e) => {
+      if (minimapDragging) setViewFromMinimap(e);
+    });
+    window.addEventListener('mouseup', () => { minimapDragging = false; });
+
+    minimapCanvas.addEventListener('touchstart', (e) => {
+      minimapDragging = true;
+      setViewFromMinimapTouch(e);
+    }, { passive: true });
+    minimapCanvas.addEventListener('touchmove', (e) => {
+      if (minimapDragging) setViewFromMinimapTouch(e);
+    }, { passive: true });
+    minimapCanvas.addEventListener('touchend', () => { minimapDragging = false; });
+
+    // Resize
+    window.addEventListener('resize', () => {
+      if (session) {
+        resizeCanvases();
+        renderAll();
+      }
+    });
+  }
+
+  // One finger pans the view, two pinch-zoom it. onModeTap(e), if given,
+  // takes a single-finger tap instead while an edit mode is active.
+  function addTouchPanZoom(canvas, onModeTap) {
+    canvas.addEventListener('touchstart', (e) => {
+      if (onModeTap && mode !== 'normal' && e.touches.length === 1) {
+        onModeTap(e);
         return;
       }
-      lastTouches = Array.from(e.touches);
       if (e.touches.length === 1) {
         isDragging = true;
         dragStartX = e.touches[0].clientX;
@@ -696,10 +1546,10 @@ const Viewer = (() => {
       }
     }, { passive: true });
 
-    sc.addEventListener('touchmove', (e) => {
+    canvas.addEventListener('touchmove', (e) => {
       if (e.touches.length === 1 && isDragging) {
         const dx = e.touches[0].clientX - dragStartX;
-        const samplesPerPx = (viewEnd - viewStart) / sc.clientWidth;
+        const samplesPerPx = (viewEnd - viewStart) / canvas.clientWidth;
         const shift = -dx * samplesPerPx;
         const newStart = dragStartView + shift;
         const range = viewEnd - viewStart;
@@ -719,40 +1569,12 @@ const Viewer = (() => {
           renderSignal();
         }
       }
-      lastTouches = Array.from(e.touches);
     }, { passive: true });
 
-    sc.addEventListener('touchend', () => {
+    canvas.addEventListener('touchend', () => {
       isDragging = false;
       pinchStartDist = 0;
     });
-
-    // Minimap click/drag to set viewport
-    minimapCanvas.addEventListener('mousedown', (e) => {
-      minimapDragging = true;
-      setViewFromMinimap(e);
-    });
-    window.addEventListener('mousemove', (e) => {
-      if (minimapDragging) setViewFromMinimap(e);
-    });
-    window.addEventListener('mouseup', () => { minimapDragging = false; });
-
-    minimapCanvas.addEventListener('touchstart', (e) => {
-      minimapDragging = true;
-      setViewFromMinimapTouch(e);
-    }, { passive: true });
-    minimapCanvas.addEventListener('touchmove', (e) => {
-      if (minimapDragging) setViewFromMinimapTouch(e);
-    }, { passive: true });
-    minimapCanvas.addEventListener('touchend', () => { minimapDragging = false; });
-
-    // Resize
-    window.addEventListener('resize', () => {
-      if (session) {
-        resizeCanvases();
-        renderAll();
-      }
-    });
   }
 
   function setViewFromMinimap(e) {
@@ -822,6 +1644,7 @@ const Viewer = (() => {
       }
 
       const newShot = {
+        id: session.nextShotId(),
         idx: bestIdx,
         mag: bestVal,
         dipMag: 0,
@@ -829,17 +1652,19 @@ const Viewer = (() => {
         range: 0,
         t: session.imu[bestIdx]?.t || 0,
         tRel: session.imu[bestIdx]?.tRel || 0,
+        ...jumpAtPeak(session.imu, bestIdx, detectorConfig, aMags),
         x: 0, y: 0,
         zone: 'RIM',
         color: zoneColor('RIM'),
         dist: 0,
         num: 0,
+        outcome: 'unknown',
         confirmed: false,
         deleted: false,
         userAdded: true,
       };
 
-      shots.push(newShot);
+      shots.push(classifyShotType(newShot));
       shots.sort((a, b) => a.idx - b.idx);
       renumberShots();
       mode = 'normal';
@@ -870,10 +1695,19 @@ const Viewer = (() => {
 
     document.getElementById('zone-edit-save').addEventListener('click', () => {
       const selected = document.querySelector('#zone-edit-options .btn.selected');
-      if (selected && selectedShotIdx >= 0) {
+      const selectedType = document.querySelector('#shot-type-options .btn.selected');
+      if ((selected || selectedType) && selectedShotIdx >= 0) {
         pushUndo();
-        shots[selectedShotIdx].zone = selected.textContent;
-        shots[selectedShotIdx].color = zoneColor(selected.textContent);
+        const shot = shots[selectedShotIdx];
+        if (selected) {
+          shot.zone = selected.textContent;
+          shot.color = zoneColor(selected.textContent);
+        }
+        // A hand-picked type replaces the classifier's guess
+        if (selectedType && selectedType.dataset.shotType !== shot.shotType) {
+          shot.shotType = selectedType.dataset.shotType;
+          shot.shotTypeEdited = true;
+        }
       }
       document.getElementById('zone-edit-modal').classList.add('hidden');
       renderAll();
@@ -929,6 +1763,7 @@ const Viewer = (() => {
 
     // Apply edits
     const activeShots = shots.filter(s => !s.deleted).map(s => ({
+      id: s.id,
       x: s.x || 0,
       y: s.y || 0,
       zone: s.zone,
@@ -939,11 +1774,30 @@ const Viewer = (() => {
       dipMag: s.dipMag,
       recoveryMag: s.recoveryMag,
       range: s.range,
+      airtimeMs: s.airtimeMs,
+      jumpHeight: s.jumpHeight,
+      shotType: s.shotType,
+      shotTypeConfidence: s.shotTypeConfidence,
+      shotTypeEdited: s.shotTypeEdited || undefined,
+      consensus: s.consensus || undefined,
+      outcome: s.outcome || 'unknown',
     }));
 
     exportData.shots = activeShots;
     exportData.summary.shots = activeShots.length;
 
+    // Retractions restored here become shot events again
+    const restoredIds = new Set(shots.filter(s => s.restored && !s.deleted).map(s => s.id));
+    exportData.events = exportData.events.map(e => {
+      if (e.type !== 'shot_retracted' || !restoredIds.has(e.shotId)) return e;
+      const { retractReason, ...evt } = e;
+      return { ...evt, type: 'shot', restored: true };
+    });
+    const retractedIds = new Set(shots.filter(s => s.retracted).map(s => s.id));
+    const retractedShots = session.retractedShots.filter(s => retractedIds.has(s.id));
+    if (retractedShots.length > 0) exportData.retractedShots = retractedShots;
+    else delete exportData.retractedShots;
+
     if (segments.length > 0) {
       exportData.segments = segments;
     }
@@ -956,7 +1810,35 @@ const Viewer = (() => {
       segmentCount: segments.length,
       addedShots: shots.filter(s => s.userAdded && !s.deleted).length,
       deletedShots: shots.filter(s => s.deleted).length,
+      // Detections the user rejected: negative examples for train_model.js
+      deletedShotIdx: shots.filter(s => s.deleted && !s.userAdded && !s.retracted).map(s => s.idx),
+      deletedShotIds: shots.filter(s => s.deleted && !s.userAdded && !s.retracted).map(s => s.id),
     };
+    // test_detection.js, train_model.js and reloading here all read the
+    // top-level config, so a re-run's config replaces it there; the
+    // recording-time config is kept in userEdits (across repeated edits)
+    const prevEdits = session.userEdits || {};
+    if ('recordedDetectorConfig' in prevEdits) {
+      exportData.userEdits.recordedDetectorConfig = prevEdits.recordedDetectorConfig;
+    }
+    if (rerunConfig) {
+      if (!('recordedDetectorConfig' in exportData.userEdits)) {
+        exportData.userEdits.recordedDetectorConfig = session.detectorConfig || null;
+      }
+      exportData.detectorConfig = rerunConfig;
+    }
+    if (rerunConfig && rerunModel) {
+      exportData.userEdits.shotModel = { trainedAt: rerunModel.trainedAt, threshold: rerunModel.threshold };
+    }
+    if (rerunConfig && rerunTemplate) {
+      exportData.userEdits.shotTemplate = {
+        createdAt: rerunTemplate.createdAt, count: rerunTemplate.count, threshold: rerunTemplate.threshold,
+      };
+    }
+    // The session's own calibration is on by default, so record turning it off too
+    if (rerunConfig && sessionCalibration) {
+      exportData.userEdits.calibration = { applied: !!rerunCalibration, version: sessionCalibration.version ?? null };
+    }
 
     const filename = (session.sessionId || 'session') + '_edited.json';
     downloadJSON(exportData, filename);
@@ -5,17 +5,26 @@
  * Runs ShotDetector.detectAll() on every session JSON in data/ and checks
  * against expected shot counts where ground-truth labels exist.
  *
- * Usage:  node test_detection.js
+ * Labeled files are also scored by where the shots were found, not just how
+ * many: detections are matched to labeled shots within a time tolerance and
+ * reported as TP/FP/FN with precision, recall and F1. Expected counts and
+ * labels live in fixtures.js (shared with train_model.js).
+ *
+ * Usage:  node test_detection.js [--tolerance <ms>] [--json <report.json>] [--explain]
+ *
+ *   --explain  trace every candidate and list near-miss candidates per file,
+ *              plus the rejection reason for each labeled shot that was missed
  *
  * Adding new test cases:
  *   1. Record a session on the tracker, export JSON, place in data/
  *   2. Use the viewer to label shots (add/remove), export as *_edited.json
- *   3. Add an entry to EXPECTED below with the filename and expected count
+ *   3. Add an entry to EXPECTED in fixtures.js with the filename and expected count
  *      - Use null for files without verified ground truth (will still report count)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { EXPECTED, groundTruthFor } = require('./fixtures');
 
 // Load core.js into current scope (mock localStorage for MotionCalibrator)
 const coreCode = fs.readFileSync(path.join(__dirname, 'js/core.js'), 'utf-8');
@@ -25,20 +34,22 @@ const localStorage = {
   setItem: (k, v) => { mockStorage[k] = v; },
   removeItem: (k) => { delete mockStorage[k]; },
 };
-const core = new Function('localStorage', coreCode + '; return { ShotDetector, ShotDetectorConsensus, MotionCalibrator, classifyZone, zoneColor };')(localStorage);
-const { ShotDetector, ShotDetectorConsensus, MotionCalibrator } = core;
-
-// ===== Expected shot counts (null = no ground truth, just report) =====
-const EXPECTED = {
-  'bball_1769745294389.json':        1,   // 1 shot, 12s session
-  'bball_1770076234585_edited.json': 1,   // 4 close-range rim shots, but 3 filtered by 2s min interval
-  // Old sessions — no verified ground truth yet
-  'bball_1769737698902.json':        null, // ~2 from live mode, batch may differ
-  'bball_1769744242117.json':        null, // ~19 from live mode, batch may differ
-  // New sessions — walking/shorts testing
-  'bball_1770085857529_5shots.json': null, // ~5 real shots (no voice labels for ground truth)
-  'bball_1770086069894_walking.json': null, // pure walking, 0 real shots, ~5 FPs from extreme walking spikes
-};
+const core = new Function('localStorage', coreCode + '; return { ShotDetector, ShotDetectorConsensus, MotionCalibrator, DetectionEval, GravityEstimator, CadenceEstimator, SampleRate, ShotTypeClassifier, ShotModel, ShotTemplate, Session, CalibrationProfiles, CalibrationStepProgress, CALIB_QUALITY, estimateJump, jumpTrend, classifyZone, zoneColor, shootingStats, ALL_ZONES, ZONE_CENTERS, DETECTOR_DEFAULTS, DETECTOR_PRESETS, EVAL_TOLERANCE_MS };')(localStorage);
+const { ShotDetector, ShotDetectorConsensus, MotionCalibrator, DetectionEval, GravityEstimator, CadenceEstimator, SampleRate, ShotTypeClassifier, ShotModel, ShotTemplate, Session, CalibrationProfiles, CalibrationStepProgress, CALIB_QUALITY, estimateJump, jumpTrend, classifyZone, shootingStats, ALL_ZONES, ZONE_CENTERS, DETECTOR_DEFAULTS, DETECTOR_PRESETS, EVAL_TOLERANCE_MS } = core;
+
+// ===== Command-line options =====
+const args = process.argv.slice(2);
+function argValue(name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+const tolerance = argValue('--tolerance') !== undefined ? Number(argValue('--tolerance')) : EVAL_TOLERANCE_MS;
+const jsonReport = argValue('--json');
+const explainMode = args.includes('--explain');
+if (!(tolerance >= 0)) {
+  console.error('--tolerance must be a non-negative number of milliseconds');
+  process.exit(2);
+}
 
 // ===== Run tests =====
 const dataDir = path.join(__dirname, 'data');
@@ -47,14 +58,21 @@ const files = fs.readdirSync(dataDir).filter(f => f.endsWith('.json')).sort();
 let passed = 0;
 let failed = 0;
 let info = 0;
+const evalResults = [];
+
+const fmtPct = (v) => v === null ? '--' : (v * 100).toFixed(0) + '%';
 
 console.log('Shot Detection Backtest');
 console.log('='.repeat(70));
 
 for (const file of files) {
   const data = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf-8'));
-  const detector = new ShotDetector();
-  const detected = detector.detectAll(data.imu);
+  // Re-detect with the config (and motion calibration) the session was recorded under, if it
+  // has one — for viewer edits, the config of the re-run the shots were reviewed under
+  const detector = new ShotDetector(data.detectorConfig);
+  if (data.calibration && !CalibrationProfiles.validateCalibration(data.calibration)) detector.calibration = data.calibration;
+  const explained = explainMode ? detector.explain(data.imu) : null;
+  const detected = explained ? explained.shots : detector.detectAll(data.imu);
 
   const expected = EXPECTED[file];
   const originalCount = data.shots ? data.shots.length : '?';
@@ -77,12 +95,66 @@ for (const file of files) {
     console.log(`\x1b[33mINFO\x1b[0m  ${file}`);
     console.log(`       detected=${detected.length}  original=${originalCount}  (no ground truth)`);
   }
+
+  // Time-matched scoring against labeled shots
+  const truth = groundTruthFor(file, data, DetectionEval);
+  let r = null;
+  if (truth) {
+    r = DetectionEval.evaluate(truth, detected, tolerance);
+    console.log(`       labels=${truth.length}  TP=${r.tp} FP=${r.fp} FN=${r.fn}  ` +
+      `P=${fmtPct(r.precision)} R=${fmtPct(r.recall)} F1=${fmtPct(r.f1)}`);
+    const labels = file.endsWith('_walking.json') ? 'walking' : (truth.length ? truth[0].source : 'edited');
+    evalResults.push({ file, labels, detected: detected.length, ...r });
+  }
+
+  if (explained) {
+    const near = ShotDetector.nearMisses(explained.candidates);
+    console.log(`       near misses: ${near.length}`);
+    for (const c of near.slice(0, 5)) {
+      console.log(`         idx=${c.idx} mag=${c.mag.toFixed(1)}  ${ShotDetector.describeRejection(c)}`);
+    }
+    // Why each missed labeled shot was rejected: closest traced candidate in time
+    for (const miss of r ? r.falseNegatives : []) {
+      let closest = null;
+      for (const c of explained.candidates) {
+        const dt = Math.abs((c.t || c.tRel || 0) - miss.t);
+        if (dt <= tolerance && (!closest || dt < closest.dt)) closest = { c, dt };
+      }
+      miss.reason = closest ? ShotDetector.describeRejection(closest.c) : 'no candidate peak';
+      console.log(`       missed idx=${miss.idx}  ${closest ? `candidate idx=${closest.c.idx}: ` : ''}${miss.reason}`);
+    }
+  }
 }
 
 console.log('='.repeat(70));
 console.log(`Results: ${passed} passed, ${failed} failed, ${info} info-only`);
+const overall = DetectionEval.combine(evalResults);
+console.log(`Accuracy (${evalResults.length} labeled files, ±${tolerance}ms): ` +
+  `TP=${overall.tp} FP=${overall.fp} FN=${overall.fn}  ` +
+  `P=${fmtPct(overall.precision)} R=${fmtPct(overall.recall)} F1=${fmtPct(overall.f1)}`);
 console.log('');
 
+if (jsonReport) {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    toleranceMs: tolerance,
+    overall,
+    files: evalResults.map(r => ({
+      file: r.file,
+      labels: r.labels,
+      detected: r.detected,
+      tp: r.tp, fp: r.fp, fn: r.fn,
+      precision: r.precision, recall: r.recall, f1: r.f1,
+      matches: r.matches.map(m => ({ truthIdx: m.truth.idx, detectedIdx: m.detected.idx, dtMs: m.dt })),
+      falsePositives: r.falsePositives.map(s => ({ idx: s.idx, t: s.t, mag: s.mag })),
+      falseNegatives: r.falseNegatives.map(s => ({ idx: s.idx, t: s.t, reason: s.reason })),
+    })),
+  };
+  fs.writeFileSync(jsonReport, JSON.stringify(report, null, 2));
+  console.log(`Wrote evaluation report to ${jsonReport}`);
+  console.log('');
+}
+
 // ===== Calibration & Consensus Tests =====
 console.log('Calibration & Consensus Tests');
 console.log('='.repeat(70));
@@ -125,7 +197,8 @@ calTest('extractPatterns returns valid feature vectors', () => {
   const p = patterns[0];
   const keys = ['peakMag', 'dipMag', 'recoveryMag', 'range', 'dipRatio',
     'peakToDipSamples', 'dipToRecSamples', 'totalDuration',
-    'gyroMagAtPeak', 'gyroMagAtDip', 'maxGyroInWindow', 'gyroDipToRec'];
+    'gyroMagAtPeak', 'gyroMagAtDip', 'maxGyroInWindow', 'gyroDipToRec',
+    'vertAtPeak', 'vertAtDip', 'vertRange', 'horizMean'];
   const allPresent = keys.every(k => typeof p[k] === 'number' && !isNaN(p[k]));
   if (!allPresent) console.log('       missing keys:', keys.filter(k => typeof p[k] !== 'number'));
   return allPresent;
@@ -152,6 +225,126 @@ calTest('classify returns isShot=true with no calibration', () => {
   return result.isShot === true;
 });
 
+calTest('calibration profiles migrate the legacy key and keep calibrations apart', () => {
+  mockStorage.bball_motion_calibration = JSON.stringify({ timestamp: 5, profiles: { shooting: {} } });
+  const migrated = CalibrationProfiles.selected();
+  const legacyOk = migrated.name === 'Default' && MotionCalibrator.load().timestamp === 5 &&
+    mockStorage.bball_motion_calibration === undefined;
+
+  const arm = CalibrationProfiles.create('Ana', 'Armband');
+  const noCalYet = MotionCalibrator.load() === null;
+  MotionCalibrator.save({ timestamp: 9 });
+  CalibrationProfiles.select(migrated.id);
+  const apart = MotionCalibrator.load().timestamp === 5 && CalibrationProfiles.get(arm.id).calibration.timestamp === 9;
+
+  CalibrationProfiles.rename(arm.id, 'Ana B', 'Shorts pocket');
+  const renamed = CalibrationProfiles.label(CalibrationProfiles.get(arm.id)) === 'Ana B · Shorts pocket';
+  CalibrationProfiles.remove(migrated.id);
+  const removed = CalibrationProfiles.selected() === null && MotionCalibrator.load() === null &&
+    CalibrationProfiles.list().length === 1 && CalibrationProfiles.select('nope') === false;
+
+  const s = Session.fromJSON(new Session().toJSON());
+  s.calibrationProfile = CalibrationProfiles.summary(CalibrationProfiles.get(arm.id));
+  const exported = Session.fromJSON(JSON.parse(JSON.stringify(s.toJSON()))).calibrationProfile;
+  delete mockStorage.bball_motion_profiles;
+  return legacyOk && noCalYet && apart && renamed && removed && exported.name === 'Ana B' && exported.calibratedAt === 9;
+});
+
+calTest('merged calibrations match profiling all patterns at once; versions roll back', () => {
+  const patterns = MotionCalibrator.extractPatterns(testData.imu, 'shooting');
+  const half = Math.floor(patterns.length / 2);
+  const a = MotionCalibrator.fromPatterns({ shooting: patterns.slice(0, half) });
+  const b = MotionCalibrator.fromPatterns({ shooting: patterns.slice(half) });
+  const merged = MotionCalibrator.merge(a, b);
+  const whole = MotionCalibrator.computeProfile(patterns);
+  const close = (x, y) => Math.abs(x - y) < 1e-9 * Math.max(1, Math.abs(y));
+  const statsOk = ['peakMag', 'dipRatio', 'gyroDipToRec'].every(k =>
+    close(merged.profiles.shooting[k].mean, whole[k].mean) && close(merged.profiles.shooting[k].std, whole[k].std) &&
+    merged.profiles.shooting[k].min === whole[k].min && merged.profiles.shooting[k].n === whole[k].n);
+
+  const shots = MotionCalibrator.patternsAtPeaks(testData.imu, new ShotDetector().detectAll(testData.imu).map(s => s.idx), 'shooting');
+
+  const p = CalibrationProfiles.create('Ana', 'Armband');
+  MotionCalibrator.save(a, 'motion-cal');
+  const v2 = MotionCalibrator.accumulate(b, 'viewer');
+  const accumulated = v2.version === 2 && v2.runs === 2 && v2.source === 'viewer' &&
+    v2.patternCounts.shooting === patterns.length;
+  CalibrationProfiles.rollback(p.id, 1);
+  const rolled = MotionCalibrator.load().version === 1 && CalibrationProfiles.history(p.id).map(h => h.version).join() === '2';
+  for (let i = 0; i < 15; i++) MotionCalibrator.save(a, 'motion-cal');
+  const capped = CalibrationProfiles.history(p.id).length === 10 && MotionCalibrator.load().version === 17;
+  delete mockStorage.bball_motion_profiles;
+  return statsOk && merged.patternCounts.shooting === patterns.length && shots.length > 0 &&
+    accumulated && rolled && capped;
+});
+
+calTest('calibration quality report cross-validates shots against walking', () => {
+  const edited = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'bball_1770076234585_edited.json'), 'utf-8'));
+  const walk = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'bball_1770086069894_walking.json'), 'utf-8'));
+  const byLabel = {
+    walking: MotionCalibrator.extractPatterns(walk.imu, 'walking'),
+    shooting: MotionCalibrator.patternsAtPeaks(edited.imu, edited.shots.map(s => s.idx), 'shooting'),
+  };
+  const report = MotionCalibrator.evaluate(byLabel);
+  const few = MotionCalibrator.evaluate({ walking: byLabel.walking, shooting: byLabel.shooting.slice(0, 2) });
+  console.log(`       shots ${report.activities.shooting.asShot}/${report.activities.shooting.total}, walking as shot ${report.activities.walking.asShot}/${report.activities.walking.total}, ${report.overlaps.length} overlaps`);
+  return report.activities.walking.total === byLabel.walking.length &&
+    report.activities.running.total === 0 && report.shotRecall !== null &&
+    report.overlaps.every(o => o.activity === 'walking' && o.separation < CALIB_QUALITY.minSeparation) &&
+    report.separable === (report.warnings.length === 0) &&
+    !few.separable && few.shotRecall === null && few.warnings[0].step === 'shooting';
+});
+
+calTest('calibration profiles export, import and ride along in session exports', () => {
+  const cal = MotionCalibrator.fromPatterns({ shooting: MotionCalibrator.extractPatterns(testData.imu, 'shooting') });
+  const p = CalibrationProfiles.create('Ana', 'Armband');
+  MotionCalibrator.save(cal, 'motion-cal');
+  MotionCalibrator.save(cal, 'motion-cal');
+  const file = JSON.parse(JSON.stringify(CalibrationProfiles.exportProfile(p.id)));
+
+  const imported = CalibrationProfiles.importProfile(file);
+  const roundTrip = imported.id !== p.id && imported.name === 'Ana (2)' && imported.version === 2 &&
+    CalibrationProfiles.selected().id === imported.id && CalibrationProfiles.history(imported.id).length === 1 &&
+    MotionCalibrator.load().profiles.shooting.peakMag.mean === cal.profiles.shooting.peakMag.mean;
+
+  const bad = [
+    { ...file, type: 'shot-model' },
+    { ...file, formatVersion: 99 },
+    { ...file, profile: { ...file.profile, calibration: { profiles: { shooting: { peakMag: { mean: 'x' } } } } } },
+  ];
+  const rejected = bad.every(f => CalibrationProfiles.validateFile(f) !== null) &&
+    CalibrationProfiles.validateFile(file) === null &&
+    CalibrationProfiles.validateFile(bad[1]).includes('newer');
+
+  const s = new Session();
+  s.calibration = MotionCalibrator.load();
+  const embedded = Session.fromJSON(JSON.parse(JSON.stringify(s.toJSON()))).calibration;
+  const direct = new ShotDetector();
+  direct.calibration = cal;
+  const viaSession = new ShotDetector();
+  viaSession.calibration = embedded;
+  const sameShots = direct.detectAll(testData.imu).length === viaSession.detectAll(testData.imu).length;
+  delete mockStorage.bball_motion_profiles;
+  return roundTrip && rejected && CalibrationProfiles.validateCalibration(embedded) === null && sameShots;
+});
+
+calTest('calibration steps complete on strides, running time and shot patterns', () => {
+  const walk = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'bball_1770086069894_walking.json'), 'utf-8'));
+  const edited = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'bball_1770076234585_edited.json'), 'utf-8'));
+  const feed = (key, imu) => {
+    const progress = new CalibrationStepProgress(key);
+    for (const s of imu) progress.processSample(s);
+    return progress.update(imu);
+  };
+  const walking = feed('walking', walk.imu);
+  const running = feed('running', walk.imu);
+  const shooting = feed('shooting', edited.imu);
+  const empty = new CalibrationStepProgress('shooting').update([]);
+  console.log(`       walking ${walking.text}, running ${running.text} on a walk, shooting ${shooting.text} for ${edited.shots.length} shots`);
+  return walking.done && walking.fraction === 1 && !running.done && running.value < 5 &&
+    shooting.value >= edited.shots.length && empty.value === 0 && !empty.done;
+});
+
 // Regression: detection unchanged with no calibration loaded
 calTest('detection unchanged with calibration=null', () => {
   const detector1 = new ShotDetector();
@@ -193,6 +386,619 @@ calTest('ShotDetectorConsensus.evaluate runs without error', () => {
   return typeof result.isShot === 'boolean' && result.methods.length === 4;
 });
 
+// Consensus registry: voters are added/removed by name and weigh in by weight
+calTest('consensus registry: weighted votes and per-method contribution', () => {
+  const names = ShotDetectorConsensus.list().map(v => v.name);
+  const builtins = ['windowSigma', 'envelopeRatio', 'dipDepth', 'peakProminence', 'spectralEnergy', 'gyroSpike']
+    .every(n => names.includes(n));
+  const offByDefault = ShotDetectorConsensus.list().filter(v => !v.enabled).map(v => v.name).join(',');
+
+  const aMags = [9.8, 9.8, 20, 1, 15, 9.8];
+  ShotDetectorConsensus.register('alwaysYes', () => ({ vote: true, confidence: 1, name: 'Yes', detail: '' }), { weight: 3 });
+  ShotDetectorConsensus.register('alwaysNo', () => ({ vote: false, confidence: 0, name: 'No', detail: '' }));
+  const methods = ['alwaysYes', 'alwaysNo'];
+  const heavy = ShotDetectorConsensus.evaluate(aMags, 2, 3, 4, { methods });
+  const light = ShotDetectorConsensus.evaluate(aMags, 2, 3, 4, { methods, weights: { alwaysYes: 1 } });
+  ShotDetectorConsensus.unregister('alwaysYes');
+  ShotDetectorConsensus.unregister('alwaysNo');
+  const removed = !ShotDetectorConsensus.list().some(v => v.name.startsWith('always'));
+
+  return builtins && offByDefault === 'spectralEnergy,gyroSpike,offBeat,shotTemplate' && removed &&
+    heavy.isShot && heavy.score === 0.75 && heavy.methods[0].contribution === 0.75 && heavy.methods[1].contribution === 0 &&
+    !light.isShot && light.score === 0.5;
+});
+
+// Flat options (opts.sigma) still reach the voters; options under a voter's
+// name win over them
+calTest('consensus flat options change votes; results carry short labels', () => {
+  const aMags = [];
+  for (let k = 0; k < 400; k++) aMags.push(9.8 + Math.sin(k) * 0.5 + (k === 200 ? 8 : 0));
+  const run = (opts) => ShotDetectorConsensus.evaluate(aMags, 200, 201, 202, { methods: ['windowSigma'], ...opts }).methods[0];
+  const plain = run({});
+  const strict = run({ sigma: 50 });
+  const own = run({ sigma: 50, windowSigma: { sigma: 2 } });
+  const labels = ShotDetectorConsensus.evaluate(aMags, 200, 201, 202, {}).methods.map(m => m.shortName).join();
+  return plain.vote && !strict.vote && own.vote && labels === 'Win,Env,Dip,Prom';
+});
+
+calTest('spectral and gyro voters run on recorded data', () => {
+  const detector = new ShotDetector();
+  const shots = detector.detectAll(testData.imu);
+  const aMags = testData.imu.map(s => s.aMag);
+  const results = shots.map(s => ShotDetectorConsensus.evaluate(aMags, s.idx, s.dipIdx, s.recIdx,
+    { methods: ['spectralEnergy', 'gyroSpike'] }, testData.imu));
+  console.log(`       ${results.map(r => r.methods.map(m => `${m.name}=${m.vote}`).join(' ')).join(' | ')}`);
+  return shots.length > 0 && results.every(r => r.total === 2 &&
+    r.methods.every(m => typeof m.vote === 'boolean' && m.confidence >= 0 && m.confidence <= 1));
+});
+
+// Voter windows are in ms: the same shot resampled to 100 Hz gets the same
+// votes and about the same scores as at the recorded rate
+calTest('consensus voters cover the same time span at 100 Hz', () => {
+  const methods = ['windowSigma', 'envelopeRatio', 'peakProminence', 'spectralEnergy', 'gyroSpike'];
+  const imu = testData.imu;
+  const hi = SampleRate.resample(imu, 100);
+  const timeOf = (s) => s.t || s.tRel || 0;
+  const nearest = (idx) => {
+    let k = 0;
+    for (let j = 1; j < hi.length; j++) {
+      if (Math.abs(timeOf(hi[j]) - timeOf(imu[idx])) < Math.abs(timeOf(hi[k]) - timeOf(imu[idx]))) k = j;
+    }
+    return k;
+  };
+  const score = (m) => parseFloat(m.detail.split('=')[1]);
+  const shots = new ShotDetector().detectAll(imu);
+  return shots.length > 0 && shots.every(s => {
+    const a = ShotDetectorConsensus.evaluate(imu.map(x => x.aMag), s.idx, s.dipIdx, s.recIdx, { methods }, imu);
+    const b = ShotDetectorConsensus.evaluate(hi.map(x => x.aMag), nearest(s.idx), nearest(s.dipIdx), nearest(s.recIdx),
+      { methods }, hi);
+    return a.methods.every((m, k) => {
+      const ok = m.vote === b.methods[k].vote && Math.abs(score(m) - score(b.methods[k])) <= 0.15 * Math.abs(score(m));
+      if (!ok) console.log(`       ${m.key}: ${m.detail} vs ${b.methods[k].detail}`);
+      return ok;
+    });
+  });
+});
+
+// Cadence: autocorrelation finds the step rhythm; a pocket phone's strong
+// stride period still reads as two steps
+calTest('CadenceEstimator finds step and stride rhythms', () => {
+  const series = (periodMs, n = 180) => {
+    const values = [], times = [];
+    for (let k = 0; k < n; k++) {
+      const t = k * 17;
+      times.push(t);
+      values.push(9.8 + 4 * Math.max(0, Math.cos(2 * Math.PI * t / periodMs)) ** 8);
+    }
+    return { values, times };
+  };
+  const steps = series(540);
+  const stride = series(1100);
+  const a = CadenceEstimator.estimate(steps.values, steps.times);
+  const b = CadenceEstimator.estimate(stride.values, stride.times);
+  const onBeat = CadenceEstimator.phase(a, steps.times[a.lastBeatIdx], steps.times[a.lastBeatIdx] + 2 * a.stepMs);
+  console.log(`       steps: ${a.stepsPerMin.toFixed(0)}/min r=${a.corr.toFixed(2)}  stride: ${b.stepsPerMin.toFixed(0)}/min`);
+  return Math.abs(a.stepsPerMin - 111) < 6 && a.corr > 0.8 && Math.abs(b.stepsPerMin - 109) < 6 &&
+    onBeat < 0.01 && CadenceEstimator.estimate([9.8, 9.8], [0, 17]) === null;
+});
+
+calTest('cadence filter removes walking false positives', () => {
+  const walking = files.find(f => f.endsWith('_walking.json'));
+  if (!walking) return true;
+  const imu = JSON.parse(fs.readFileSync(path.join(dataDir, walking), 'utf-8')).imu;
+  const off = new ShotDetector().detectAll(imu);
+  const on = new ShotDetector('step-filter').explain(imu);
+  const byCadence = on.candidates.filter(c => c.rejectedBy === 'cadence').length;
+  console.log(`       walking FPs: ${off.length} without, ${on.shots.length} with (${byCadence} on the beat)`);
+  return on.shots.length < off.length && byCadence > 0 &&
+    DETECTOR_DEFAULTS.cadenceFilter === false &&
+    ShotDetector.resolveConfig({ cadenceFilter: true }).cadenceFilter === true &&
+    ShotDetector.resolveConfig({ preset: 'step-filter', cadenceFilter: false }).cadenceFilter === false &&
+    ShotDetector.resolveConfig({ preset: 'step-filter', cadenceFilter: 'no' }).cadenceFilter === true;
+});
+
+// Streaming: pushing samples one at a time (live mode) must find exactly
+// what detectAll (batch mode) finds before its burst filter
+calTest('live push() matches batch detectAll', () => {
+  for (const file of files) {
+    const data = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf-8'));
+    const live = new ShotDetector();
+    const liveShots = [];
+    for (const sample of data.imu) liveShots.push(...live.push(sample));
+    liveShots.push(...live.flush());
+    const toRemove = ShotDetector.retrospectiveFilter(liveShots, live.config);
+    const liveIdx = liveShots.filter((_, i) => !toRemove.has(i)).map(s => s.idx).join(',');
+    const batchIdx = new ShotDetector().detectAll(data.imu).map(s => s.idx).join(',');
+    if (liveIdx !== batchIdx) {
+      console.log(`       ${file}: live=[${liveIdx}] batch=[${batchIdx}]`);
+      return false;
+    }
+  }
+  return true;
+});
+
+// Evaluation: matching is one-to-one and respects the time tolerance
+calTest('DetectionEval matches shots within tolerance, one-to-one', () => {
+  const truth = [{ t: 1000 }, { t: 5000 }, { t: 9000 }];
+  const detected = [{ t: 1200 }, { t: 1300 }, { t: 7000 }, { t: 9100 }];
+  const r = DetectionEval.evaluate(truth, detected, 500);
+  return r.tp === 2 && r.fp === 2 && r.fn === 1 &&
+    r.matches[0].detected.t === 1200 && r.falseNegatives[0].t === 5000 &&
+    Math.abs(r.precision - 0.5) < 1e-9 && Math.abs(r.recall - 2 / 3) < 1e-9;
+});
+
+calTest('DetectionEval.groundTruth reads edited shots and voice labels', () => {
+  const imu = [{ t: 100 }, { t: 117 }, { t: 134 }];
+  const edited = DetectionEval.groundTruth({ imu, userEdits: {}, shots: [{ idx: 2 }], events: [] });
+  const voice = DetectionEval.groundTruth({ imu, shots: [], events: [{ type: 'voice_shot', t: 120 }] });
+  const none = DetectionEval.groundTruth({ imu, shots: [{ idx: 1 }], events: [] });
+  return edited.length === 1 && edited[0].t === 134 && edited[0].idx === 2 &&
+    voice.length === 1 && voice[0].t === 120 && none === null &&
+    DetectionEval.score(0, 0, 0).f1 === null;
+});
+
+// Explain mode: tracing must not change what is detected, and every kept
+// shot appears as a candidate with no rejection
+calTest('explain() matches detectAll and traces every shot', () => {
+  const shots = new ShotDetector().detectAll(testData.imu);
+  const ex = new ShotDetector().explain(testData.imu);
+  const kept = ex.candidates.filter(c => !c.rejectedBy).map(c => c.idx);
+  const reasons = new Set(ex.candidates.map(c => c.rejectedBy));
+  console.log(`       ${ex.candidates.length} candidates, rejected by: ${[...reasons].filter(Boolean).join(', ')}`);
+  return ex.shots.length === shots.length &&
+    shots.every((s, i) => s.idx === ex.shots[i].idx && s.idx === kept[i]) &&
+    ex.candidates.every(c => c.rejectedBy ? c.checks.some(ch => !ch.pass) : c.checks.every(ch => ch.pass));
+});
+
+// Diagnostic overlay: threshold series must match what the detector compared against
+calTest('thresholdSeries matches traced candidate thresholds', () => {
+  const detector = new ShotDetector();
+  const ex = detector.explain(testData.imu);
+  const series = detector.thresholdSeries(testData.imu);
+  return ex.candidates.filter(c => c.baseline).every(c => {
+    const peak = c.checks.find(ch => ch.name === 'peak');
+    return Math.abs(series.mean[c.idx] - c.baseline.mean) < 1e-6 &&
+      series.peak[c.idx] >= Math.max(peak.threshold, detector.config.minPeakAbs) - 1e-6;
+  });
+});
+
+// Gravity estimator: a still phone reads no linear acceleration whatever its
+// tilt, and freefall reads ≈ -g vertically
+calTest('GravityEstimator separates vertical acceleration from gravity', () => {
+  const imu = [];
+  for (let k = 0; k < 300; k++) imu.push({ t: k * 17, ax: 0, ay: 6.0, az: 7.7 });
+  for (let k = 300; k < 310; k++) imu.push({ t: k * 17, ax: 0, ay: 0, az: 0 });
+  GravityEstimator.annotate(imu);
+  const still = imu[299];
+  const fall = imu[302];
+  console.log(`       still aVert=${still.aVert.toFixed(2)} aHoriz=${still.aHoriz.toFixed(2)}, freefall aVert=${fall.aVert.toFixed(2)}`);
+  return Math.abs(still.aVert) < 0.01 && still.aHoriz < 0.01 && fall.aVert < -9;
+});
+
+calTest('vertical signal detection: live push() matches batch', () => {
+  const cfg = { signal: 'vertical' };
+  const imu = testData.imu.map(s => ({ ...s, aVert: undefined, aHoriz: undefined }));
+  const batch = new ShotDetector(cfg).detectAll(imu.map(s => ({ ...s })));
+  const live = new ShotDetector(cfg);
+  const liveShots = [];
+  for (const s of imu) liveShots.push(...live.push({ ...s }));
+  liveShots.push(...live.flush());
+  const toRemove = ShotDetector.retrospectiveFilter(liveShots, live.config);
+  const kept = liveShots.filter((_, i) => !toRemove.has(i));
+  // The detector annotates its own copies, never the caller's samples
+  new ShotDetector().detectAll(imu);
+  new ShotDetector(cfg).thresholdSeries(imu);
+  const untouched = imu.every(s => s.aVert === undefined && s.aHoriz === undefined);
+  return live.config.signal === 'vertical' && kept.length === batch.length &&
+    kept.every((s, i) => s.idx === batch[i].idx) && untouched;
+});
+
+// Detector config: presets and overrides resolve to a full parameter object
+calTest('resolveConfig fills defaults and applies presets/overrides', () => {
+  const def = ShotDetector.resolveConfig();
+  const allKeys = Object.keys(DETECTOR_DEFAULTS).every(k => def[k] === DETECTOR_DEFAULTS[k]);
+  const sensitive = ShotDetector.resolveConfig('pocket-sensitive');
+  const custom = ShotDetector.resolveConfig({ preset: 'pocket-sensitive', maxDipAbs: 5 });
+  const unknown = ShotDetector.resolveConfig({ preset: 'nope' });
+  return allKeys && def.preset === 'default' &&
+    sensitive.maxDipAbs === DETECTOR_PRESETS['pocket-sensitive'].maxDipAbs &&
+    custom.maxDipAbs === 5 && custom.minRiseFromDip === DETECTOR_PRESETS['pocket-sensitive'].minRiseFromDip &&
+    unknown.preset === 'default';
+});
+
+calTest('detection reproducible from exported config', () => {
+  const detector1 = new ShotDetector('pocket-sensitive');
+  const shots1 = detector1.detectAll(testData.imu);
+  const exported = JSON.parse(JSON.stringify(detector1.config));
+  const shots2 = new ShotDetector(exported).detectAll(testData.imu);
+  return shots1.length === shots2.length && shots1.every((s, i) => s.idx === shots2[i].idx);
+});
+
+// Sample rate: ms windows become sample counts at the measured rate;
+// configs saved with sample-count windows still load
+calTest('windows follow the measured sample rate', () => {
+  const ticks = (ms) => Array.from({ length: 100 }, (_, k) => ({ t: 1000 + k * ms, aMag: 9.8 }));
+  const at = (ms) => SampleRate.windowsFor(ticks(ms));
+  const legacy = ShotDetector.resolveConfig({ dipSearchWindow: 40, minShotSamples: 30 });
+  const decimated = testData.imu.filter((_, k) => k % 2 === 0);
+  const detector = new ShotDetector();
+  detector.detectAll(decimated);
+  console.log(`       10ms: ${at(10).baselineWindow}  17ms: ${at(17).baselineWindow}  34ms: ${at(34).baselineWindow} samples`);
+  return at(17).baselineWindow === 80 && at(17).dipSearchWindow === 35 && at(10).baselineWindow === 136 &&
+    at(34).recoverySearchWindow === 15 && SampleRate.intervalMs([{ t: 5 }]) === null &&
+    legacy.dipSearchMs === 680 && legacy.minShotGapMs === 510 && legacy.recoverySearchMs === DETECTOR_DEFAULTS.recoverySearchMs &&
+    Math.abs(detector.windows.sampleMs - 34) <= 1 && Math.abs(detector.windows.baselineWindow - 40) <= 1;
+});
+
+// Sensor gaps: the detector restarts its baseline after a jump in time
+calTest('detector restarts its baseline after a sensor gap', () => {
+  const imu = testData.imu.slice(250, 1700);
+  const cut = 700;
+  const gapped = imu.map((s, k) => k < cut ? s : { ...s, t: s.t + 5000, tRel: s.tRel + 5000 });
+  const gaps = SampleRate.findGaps(gapped);
+  const { shots, candidates } = new ShotDetector().explain(gapped);
+  const restart = cut + SampleRate.windowsFor(gapped).baselineWindow + SampleRate.windowsFor(gapped).baselineOffset;
+  const plain = new ShotDetector().detectAll(imu);
+  const away = (s) => s.idx < cut - 80 || s.idx > restart;
+  return gaps.some(g => g.idx === cut && g.durationMs > 5000) &&
+    !candidates.some(c => c.idx >= cut && c.idx < restart) &&
+    shots.filter(away).map(s => s.idx).join() === plain.filter(away).map(s => s.idx).join();
+});
+
+// A shot whose recovery search runs into a gap is judged on the samples
+// before it, not dropped
+calTest('sensor gap judges a shot whose recovery window it cuts short', () => {
+  const shot = new ShotDetector().detectAll(testData.imu)[0];
+  const cut = shot.recIdx + 1;
+  const gapped = testData.imu.map((s, k) => k < cut ? s : { ...s, t: s.t + 5000, tRel: s.tRel + 5000 });
+  const windows = SampleRate.windowsFor(gapped);
+  const found = new ShotDetector().detectAll(gapped).find(s => s.idx === shot.idx);
+  return cut < shot.dipIdx + windows.recoverySearchWindow &&
+    !!found && found.dipIdx === shot.dipIdx && found.recIdx === shot.recIdx;
+});
+
+// After a gap every look-back (baseline, cadence, consensus) starts at the
+// gap: candidates are judged as if the recording began there, apart from
+// the time since the last shot before it
+calTest('look-backs after a sensor gap start at the gap', () => {
+  const cut = 1000;
+  const later = testData.imu.slice(cut).map(s => ({ ...s, t: s.t + 5000, tRel: s.tRel + 5000 }));
+  const explain = (imu) => {
+    const detector = new ShotDetector('step-filter');
+    detector.useConsensus = true;
+    detector.consensusOpts = { methods: ['windowSigma', 'envelopeRatio', 'peakProminence', 'gyroSpike', 'offBeat'] };
+    return detector.explain(imu).candidates;
+  };
+  const key = (c, dk) => JSON.stringify({ ...c, idx: c.idx + dk, dipIdx: c.dipIdx === null ? null : c.dipIdx + dk,
+    recIdx: c.recIdx === null ? null : c.recIdx + dk, checks: c.checks.filter(ch => ch.check !== 'interval') });
+  const after = explain([...testData.imu.slice(0, cut), ...later]).filter(c => c.idx >= cut).map(c => key(c, 0));
+  const alone = explain(later).map(c => key(c, cut));
+  console.log(`       ${after.length} candidates after the gap, ${alone.length} in the later part alone`);
+  return after.length > 0 && after.join() === alone.join();
+});
+
+calTest('sensor gap delivers every shot still waiting on lookahead', () => {
+  const p = new ShotDetector().detectAll(testData.imu)[0].idx;
+  const retime = (samples, dt) => samples.map(s => ({ ...s, t: s.t + dt, tRel: s.tRel + dt }));
+  // The first shot, a copy of it 200 samples on, then a 5 s gap
+  const head = testData.imu.slice(0, p + 80);
+  const copy = testData.imu.slice(p - 120, p + 80);
+  const beforeGap = [...head, ...retime(copy, head[head.length - 1].t + 17 - copy[0].t)];
+  const afterGap = retime(testData.imu.slice(0, 200), beforeGap[beforeGap.length - 1].t + 5000 - testData.imu[0].t);
+  const live = new ShotDetector();
+  // A long consensus window that passes everything holds both shots back until the gap
+  live.useConsensus = true;
+  live.consensusOpts = { methods: ['windowSigma'], windowSigma: { windowMs: 8000 }, threshold: 0 };
+  const delivered = [];
+  [...beforeGap, ...afterGap].forEach((s, k) => {
+    for (const shot of live.push({ ...s })) delivered.push({ k, idx: shot.idx });
+  });
+  console.log(`       delivered ${delivered.map(d => `${d.idx} at ${d.k}`).join(', ')}`);
+  return live._reach().ahead > beforeGap.length - p &&
+    delivered.map(d => d.idx).join() === `${p},${p + 200}` && delivered.every(d => d.k === beforeGap.length);
+});
+
+calTest('resampleHz detects on a fixed-rate stream and maps back to recording indices', () => {
+  const plain = new ShotDetector().detectAll(testData.imu);
+  const resampled = new ShotDetector({ resampleHz: 100 });
+  const batch = resampled.detectAll(testData.imu);
+  const live = new ShotDetector({ resampleHz: 100 });
+  const liveShots = [];
+  for (const s of testData.imu) liveShots.push(...live.push({ ...s }));
+  liveShots.push(...live.flush());
+  const toRemove = ShotDetector.retrospectiveFilter(liveShots, live.config);
+  const kept = liveShots.filter((_, k) => !toRemove.has(k));
+  const input = testData.imu.slice(0, 400);
+  const out = SampleRate.resample(input, 100);
+  const gaps = SampleRate.findGaps(input);
+  const span = input[input.length - 1].t - input[0].t - gaps.reduce((a, g) => a + g.durationMs, 0);
+  console.log(`       ${plain.length} shots as delivered, ${batch.length} at 100 Hz`);
+  return resampled.windows.sampleMs === 10 && batch.length === plain.length &&
+    batch.every(s => Math.abs(testData.imu[s.idx].t - s.t) <= 10 && s.dipIdx > s.idx && s.recIdx > s.dipIdx) &&
+    kept.length === batch.length && kept.every((s, k) => s.idx === batch[k].idx) &&
+    Math.abs(out.length - (span / 10 + 1)) <= gaps.length + 1 &&
+    out.every((s, k) => k === 0 || s.t - out[k - 1].t === 10 || gaps.some(g => g.endT === s.t));
+});
+
+// The stream keeps only the history its windows reach, counted from ms at the
+// stream's rate: a shot just after the history is trimmed must be judged as
+// if the whole recording were kept, cadence and consensus look-backs included
+calTest('streaming at 100 Hz keeps the history its windows reach', () => {
+  const detector = (keepAll) => {
+    const d = new ShotDetector({ resampleHz: 100 });
+    d.useConsensus = true;
+    d.consensusOpts = { methods: ['windowSigma', 'envelopeRatio', 'dipDepth', 'peakProminence', 'spectralEnergy', 'gyroSpike', 'offBeat'] };
+    if (keepAll) d._trim = () => {};
+    return d;
+  };
+  const probe = detector(false);
+  const shots = probe.detectAll(testData.imu);
+  // The first trim comes once 1000 samples have passed the look-back; crop so
+  // a shot lands 0.3 s after it, with the least history the stream ever keeps
+  const lead = (probe._reach().behind + 1032) * 10;
+  const shot = shots.find(s => s.t - testData.imu[0].t > lead);
+  if (!shot) return true;
+  const imu = testData.imu.filter(s => s.t >= shot.t - lead);
+  const run = (keepAll) => {
+    const d = detector(keepAll);
+    return { detector: d, ...d.explain(imu) };
+  };
+  const streamed = run(false);
+  const whole = run(true);
+  const differ = streamed.candidates.filter((c, k) => JSON.stringify(c) !== JSON.stringify(whole.candidates[k]));
+  if (differ.length) console.log(`       ${differ.length} candidates differ, first at ${differ[0].idx}`);
+  return streamed.detector.offset > 0 && whole.detector.offset === 0 &&
+    streamed.candidates.length === whole.candidates.length && differ.length === 0 &&
+    streamed.candidates.some(c => Math.abs(c.idx - shot.idx) <= 1 && c.consensus);
+});
+
+// Shot outcomes: FG% per zone ignores untagged shots
+calTest('Session gives legacy shots stable IDs linked to their events', () => {
+  const shots = [{ idx: 10, mag: 20 }, { idx: 50, mag: 20 }];
+  const events = [
+    { type: 'shot', t: 1, magnitude: 20 },
+    { type: 'shot_retracted', t: 2, magnitude: 25 },
+    { type: 'shot', t: 3, magnitude: 20 },
+  ];
+  const s = Session.fromJSON({ shots, events });
+  const ids = [...s.shots.map(x => x.id), s.events[1].shotId];
+  const next = s.nextShotId();
+  const edited = Session.fromJSON({ shots: [{ id: 7 }], events: [{ type: 'shot', shotId: 9 }], userEdits: {} });
+  return new Set(ids).size === 3 &&
+    s.shotEventById(s.shots[1].id) === s.events[2] &&
+    s.shotById(s.events[0].shotId) === s.shots[0] &&
+    next > Math.max(...ids) &&
+    edited.nextShotId() === 10;
+});
+
+calTest('Session retracts and restores shots by ID, including legacy retractions', () => {
+  const s = new Session();
+  for (const idx of [100, 200, 300]) {
+    const id = s.nextShotId();
+    s.addShot({ id, idx, mag: 20, outcome: 'unknown' });
+    s.addEvent({ type: 'shot', shotId: id, t: idx });
+  }
+  s.retractShot(2, 'burst_filter');
+  const afterRetract = s.shots.map(x => x.id).join() === '1,3' && s.retractedList()[0].retractReason === 'burst_filter';
+  const restored = s.restoreShot(2);
+  const afterRestore = s.shots.map(x => x.id).join() === '1,2,3' && restored.retractReason === undefined &&
+    s.shotEventById(2).type === 'shot' && s.shotEventById(2).restored === true && s.retractedShots.length === 0;
+
+  // Before retractedShots, only the event survived: the shot is rebuilt at the peak before it
+  const imu = testData.imu.slice(0, 400);
+  const peak = imu.reduce((best, x, i) => x.aMag > imu[best].aMag ? i : best, 0);
+  const legacy = Session.fromJSON({
+    imu, shots: [],
+    events: [{ type: 'shot_retracted', t: imu[peak].t + 500, magnitude: imu[peak].aMag, zone: 'RIM', retractReason: 'burst_filter' }],
+  });
+  const rebuilt = legacy.retractedList()[0];
+  return afterRetract && afterRestore && rebuilt.idx === peak && legacy.restoreShot(rebuilt.id).idx === peak &&
+    legacy.shots.length === 1 && legacy.events[0].type === 'shot';
+});
+
+// A restored shot must not take a keep slot in a later burst and push a
+// neighbor out in its place
+calTest('restored shots stay out of later burst checks', () => {
+  const s = new Session();
+  const add = (t, mag) => {
+    const id = s.nextShotId();
+    s.addShot({ id, idx: t, mag });
+    s.addEvent({ type: 'shot', shotId: id, t, magnitude: mag });
+  };
+  [[0, 40], [3000, 30], [6000, 20], [9000, 20]].forEach(([t, mag]) => add(t, mag));
+  const first = s.burstRetractions();
+  first.forEach(id => s.retractShot(id, 'burst_filter'));
+  s.restoreShot(2);
+  // Another burst: one slot for the 40 and one for a 25, whatever the restored 30 scores
+  [[12000, 25], [15000, 25], [18000, 25]].forEach(([t, mag]) => add(t, mag));
+  const second = s.burstRetractions();
+  return first.sort().join() === '2,3,4' && second.length === 2 && !second.includes(2) && !second.includes(1);
+});
+
+calTest('zone correction rewrites the shot and keeps the original zone on the event', () => {
+  const centersOk = ALL_ZONES.every(z => classifyZone(ZONE_CENTERS[z].x, ZONE_CENTERS[z].y) === z);
+  const s = new Session();
+  const id = s.nextShotId();
+  s.addShot({ id, idx: 10, x: 0, y: 0.5, zone: 'RIM', mag: 20 });
+  s.addEvent({ type: 'shot', shotId: id, zone: 'RIM', courtPos: { x: 0, y: 0.5 } });
+  s.correctShotZone(id, 'TOP 3');
+  s.correctShotZone(id, 'L-WING 3', { x: -6, y: 6 });
+  const shot = s.shotById(id);
+  const evt = s.shotEventById(id);
+  return centersOk && shot.zone === 'L-WING 3' && shot.x === -6 && shot.dist > 8 &&
+    evt.originalZone === 'RIM' && evt.originalCourtPos.y === 0.5 && evt.correctedZone === 'L-WING 3' &&
+    evt.zone === 'L-WING 3' && s.correctShotZone(id, 'NOWHERE') === null &&
+    shootingStats(s.shots).zones['L-WING 3'].attempts === 1;
+});
+
+calTest('shootingStats computes FG% per zone', () => {
+  const stats = shootingStats([
+    { zone: 'RIM', outcome: 'make' },
+    { zone: 'RIM', outcome: 'miss' },
+    { zone: 'RIM', outcome: 'unknown' },
+    { zone: 'TOP 3', outcome: 'make' },
+    { zone: 'TOP 3' },
+  ]);
+  return stats.total.attempts === 5 && stats.total.makes === 2 &&
+    Math.abs(stats.total.pct - 2 / 3) < 1e-9 &&
+    stats.zones['RIM'].pct === 0.5 &&
+    stats.zones['TOP 3'].pct === 1 &&
+    stats.zones['TOP 3'].attempts === 2;
+});
+
+calTest('shootingStats reports null FG% with no outcomes', () => {
+  const stats = shootingStats([{ zone: 'PAINT' }]);
+  return stats.total.pct === null && stats.zones['PAINT'].attempts === 1;
+});
+
+calTest('shootingStats breaks out FG% per shot type', () => {
+  const stats = shootingStats([
+    { zone: 'RIM', shotType: 'layup', outcome: 'make' },
+    { zone: 'RIM', shotType: 'layup', outcome: 'miss' },
+    { zone: 'FT', shotType: 'set', outcome: 'make' },
+    { zone: 'TOP 3' },
+  ]);
+  return stats.types['layup'].pct === 0.5 && stats.types['set'].pct === 1 &&
+    stats.types['unknown'].attempts === 1 && !stats.types['jump'];
+});
+
+// Shot types: airtime separates jump from set shots, a moving approach with
+// horizontal push makes a layup / drive
+calTest('ShotTypeClassifier labels jump, set and layup inputs', () => {
+  const classify = (airtimeMs, movingFrac, horiz) =>
+    ShotTypeClassifier.classify({ airtimeMs, movingFrac, preHoriz: horiz, horiz, features: null });
+  const jump = classify(300, 0.2, 1.5);
+  const set = classify(0, 0, 1.0);
+  const layup = classify(200, 1.0, 7.0);
+  const sum = Object.values(jump.scores).reduce((a, b) => a + b, 0);
+  return jump.type === 'jump' && set.type === 'set' && layup.type === 'layup' &&
+    Math.abs(sum - 1) < 1e-9 && set.confidence > 0.9;
+});
+
+calTest('detected shots carry a shot type', () => {
+  const shots = new ShotDetector().detectAll(testData.imu);
+  const typed = shots.every(s => ['jump', 'set', 'layup'].includes(s.shotType) &&
+    s.shotTypeConfidence >= 1 / 3 && s.shotTypeConfidence <= 1);
+  const reclassified = shots.map(s => ShotTypeClassifier.classifyShot(testData.imu, s).type);
+  // Annotated once and shared across shots, as the viewer does
+  const annotated = GravityEstimator.annotated(testData.imu);
+  const aMags = annotated.map(s => s.aMag);
+  const shared = shots.map(s => ShotTypeClassifier.classifyShot(annotated, s, undefined, aMags).type);
+  return shots.length > 0 && typed && reclassified.every((t, i) => t === shots[i].shotType) &&
+    shared.join() === reclassified.join() && testData.imu[0].aVert === undefined;
+});
+
+// Shot model: logistic regression learns a separable feature and survives a
+// JSON round trip; as a detector post-filter it can only remove shots
+calTest('ShotModel trains, cross-validates and serializes', () => {
+  const examples = [];
+  for (let k = 0; k < 60; k++) {
+    const label = k % 3 === 0 ? 1 : 0;
+    examples.push({ label, features: { dipMag: label ? 1 + (k % 5) * 0.2 : 4 + (k % 7) * 0.3, peakMag: 15 + (k % 4) } });
+  }
+  const opts = { keys: ['dipMag', 'peakMag'] };
+  const cv = ShotModel.crossValidate(examples, 5, opts);
+  const model = JSON.parse(JSON.stringify(ShotModel.train(examples, opts)));
+  console.log(`       cv accuracy=${cv.accuracy.toFixed(3)} weights=${model.weights.map(w => w.toFixed(2)).join(',')}`);
+  return cv.accuracy === 1 && ShotModel.validate(model) === null &&
+    ShotModel.predict(model, { dipMag: 1.2, peakMag: 16 }) > 0.5 &&
+    ShotModel.predict(model, { dipMag: 5, peakMag: 16 }) < 0.5 &&
+    ShotModel.validate({ type: 'logistic', keys: ['a'], mean: [0], std: [1], weights: [] }) !== null;
+});
+
+calTest('ShotDetector applies a trained model as post-filter', () => {
+  const keys = ['dipMag'];
+  const model = (bias) => ({ type: 'logistic', keys, mean: [0], std: [1], weights: [0], bias, threshold: 0.5 });
+  const plain = new ShotDetector().detectAll(testData.imu);
+  const accept = new ShotDetector();
+  accept.model = model(10);
+  const reject = new ShotDetector();
+  reject.model = model(-10);
+  const kept = accept.detectAll(testData.imu);
+  const vetoed = reject.explain(testData.imu);
+  return plain.length > 0 && kept.length === plain.length && kept.every(s => s.modelScore > 0.99) &&
+    vetoed.shots.length === 0 && vetoed.candidates.filter(c => c.rejectedBy === 'model').length >= plain.length;
+});
+
+// Shot template: averaged from the labeled shots of an edited session, scored by DTW
+const editedFile = files.find(f => f.endsWith('_edited.json'));
+const walkingFile = files.find(f => f.endsWith('_walking.json'));
+const loadImu = (f) => JSON.parse(fs.readFileSync(path.join(dataDir, f), 'utf-8')).imu;
+
+calTest('ShotTemplate builds from labeled shots and separates walking', () => {
+  if (!editedFile || !walkingFile) return true;
+  const edited = JSON.parse(fs.readFileSync(path.join(dataDir, editedFile), 'utf-8'));
+  const template = JSON.parse(JSON.stringify(ShotTemplate.build(edited.imu, DetectionEval.groundTruth(edited).map(s => s.idx))));
+  const walkImu = loadImu(walkingFile);
+  const walk = new ShotDetector({ cadenceFilter: false }).detectAll(walkImu)
+    .map(s => ShotTemplate.match(template, walkImu, s.idx).distance);
+  console.log(`       ${template.count} shots, threshold ${template.threshold.toFixed(2)}, walking ${walk.map(d => d.toFixed(2)).join(' ')}`);
+  return ShotTemplate.validate(template) === null && ShotTemplate.distance(template, template.mean) === 0 &&
+    template.distances.max <= template.threshold && walk.length > 0 && walk.every(d => d > template.threshold) &&
+    ShotTemplate.build(edited.imu, [edited.shots[0].idx]) === null;
+});
+
+calTest('ShotDetector and consensus voter apply the shot template', () => {
+  if (!editedFile || !walkingFile) return true;
+  const edited = JSON.parse(fs.readFileSync(path.join(dataDir, editedFile), 'utf-8'));
+  const template = ShotTemplate.build(edited.imu, DetectionEval.groundTruth(edited).map(s => s.idx));
+  const filtered = (config, imu) => {
+    const detector = new ShotDetector(config);
+    detector.template = template;
+    return detector.explain(imu);
+  };
+  const walk = filtered({ cadenceFilter: false }, loadImu(walkingFile));
+  const own = filtered(undefined, edited.imu);
+  const plainOwn = new ShotDetector().detectAll(edited.imu);
+  const vote = ShotDetectorConsensus.evaluate(edited.imu.map(s => s.aMag), own.shots[0].idx, own.shots[0].dipIdx,
+    own.shots[0].recIdx, { methods: ['shotTemplate'], shotTemplate: { template } }, edited.imu);
+  return walk.shots.length === 0 && walk.candidates.some(c => c.rejectedBy === 'template') &&
+    own.shots.length === plainOwn.length && own.shots.every(s => s.templateDistance <= template.threshold) &&
+    vote.isShot && vote.methods[0].name === 'Template';
+});
+
+calTest('shot templates are kept per calibration profile', () => {
+  if (!editedFile) return true;
+  const edited = JSON.parse(fs.readFileSync(path.join(dataDir, editedFile), 'utf-8'));
+  const template = ShotTemplate.build(edited.imu, DetectionEval.groundTruth(edited).map(s => s.idx));
+  mockStorage.bball_shot_template = JSON.stringify(template);
+  const ana = CalibrationProfiles.create('Ana', 'Armband');
+  const migrated = ShotTemplate.load() !== null && mockStorage.bball_shot_template === undefined;
+  const ben = CalibrationProfiles.create('Ben', 'Shorts pocket');
+  const apart = ShotTemplate.load() === null;
+  CalibrationProfiles.select(ana.id);
+  const back = ShotTemplate.load().count === template.count;
+
+  const imported = CalibrationProfiles.importProfile(JSON.parse(JSON.stringify(CalibrationProfiles.exportProfile(ana.id))));
+  const carried = CalibrationProfiles.selected().id === imported.id && ShotTemplate.load().count === template.count;
+  ShotTemplate.clear();
+  CalibrationProfiles.select(ana.id);
+  const cleared = CalibrationProfiles.get(imported.id).template === null && ShotTemplate.load() !== null &&
+    CalibrationProfiles.get(ben.id).template === null;
+  delete mockStorage.bball_motion_profiles;
+  return migrated && apart && back && carried && cleared;
+});
+
+// Jump metrics: 400ms of freefall is a 19.6cm jump (h = g·T²/8)
+calTest('estimateJump measures airtime and height from freefall', () => {
+  const values = [];
+  for (let k = 0; k < 60; k++) values.push(k >= 20 && k < 40 ? 0.5 : 9.8);
+  const jump = estimateJump(values, (j) => j * 20, 30, 10, 59);
+  const none = estimateJump(values, (j) => j * 20, 5, 0, 59);
+  console.log(`       airtime=${jump.airtimeMs.toFixed(0)}ms height=${(jump.jumpHeight * 100).toFixed(1)}cm`);
+  return Math.abs(jump.airtimeMs - 400) < 25 && Math.abs(jump.jumpHeight - 0.196) < 0.03 &&
+    none.airtimeMs === 0 && none.jumpHeight === 0;
+});
+
+calTest('jumpTrend reports fading jump height and skips set shots', () => {
+  const trend = jumpTrend([
+    { jumpHeight: 0.30 }, { jumpHeight: 0.28 }, { jumpHeight: 0 },
+    { jumpHeight: 0.24 }, { jumpHeight: 0.22 }, { jumpHeight: 0.20 }, {},
+  ]);
+  return trend.count === 5 && trend.slope < 0 && trend.change < -0.15 &&
+    Math.abs(trend.early - 0.30) < 1e-9 && Math.abs(trend.late - 0.20) < 1e-9;
+});
+
 console.log('='.repeat(70));
 console.log(`Calibration tests: ${calPassed} passed, ${calFailed} failed`);
 console.log('');
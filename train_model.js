@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Shot / non-shot model trainer.
+ *
+ * Builds labeled candidates from every session in data/ (ShotModel.examplesFromSession):
+ * the detector's candidate peaks, labeled from viewer edits — kept shots are
+ * positives; deleted shots, non-shot segments (walking, dribble, ...) and the
+ * remaining candidates of fully labeled sessions are negatives. Shots are
+ * labeled from the same ground truth as test_detection.js (fixtures.js), and
+ * sessions with no labels at all are listed as skipped.
+ *
+ * Reports k-fold cross-validated accuracy, then fits a logistic regression on
+ * all examples. The written model can be imported in the viewer (Import Model)
+ * or stored under localStorage 'bball_shot_model'; the tracker applies it as
+ * ShotDetector's post-filter once it is switched on under Filters.
+ *
+ * Usage:  node train_model.js [--preset <name>] [--tolerance <ms>] [--folds <n>]
+ *                             [--epochs <n>] [--l2 <n>] [--threshold <p>]
+ *                             [--out <model.json>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { groundTruthFor } = require('./fixtures');
+
+// Load core.js into current scope (mock localStorage for MotionCalibrator)
+const coreCode = fs.readFileSync(path.join(__dirname, 'js/core.js'), 'utf-8');
+const mockStorage = {};
+const localStorage = {
+  getItem: (k) => mockStorage[k] || null,
+  setItem: (k, v) => { mockStorage[k] = v; },
+  removeItem: (k) => { delete mockStorage[k]; },
+};
+const core = new Function('localStorage', coreCode + '; return { ShotModel, DetectionEval, SHOT_MODEL_DEFAULTS, EVAL_TOLERANCE_MS };')(localStorage);
+const { ShotModel, DetectionEval, SHOT_MODEL_DEFAULTS, EVAL_TOLERANCE_MS } = core;
+
+// ===== Command-line options =====
+const args = process.argv.slice(2);
+function argValue(name, fallback) {
+  const i = args.indexOf(name);
+  return i >= 0 && args[i + 1] !== undefined ? args[i + 1] : fallback;
+}
+const opts = {
+  preset: argValue('--preset'),
+  tolerance: Number(argValue('--tolerance', EVAL_TOLERANCE_MS)),
+  folds: Number(argValue('--folds', 5)),
+  epochs: Number(argValue('--epochs', SHOT_MODEL_DEFAULTS.epochs)),
+  l2: Number(argValue('--l2', SHOT_MODEL_DEFAULTS.l2)),
+  threshold: Number(argValue('--threshold', SHOT_MODEL_DEFAULTS.threshold)),
+  out: argValue('--out'),
+};
+for (const key of ['tolerance', 'folds', 'epochs', 'l2', 'threshold']) {
+  if (!(opts[key] >= 0)) {
+    console.error(`invalid value for ${key}: ${opts[key]}`);
+    process.exit(2);
+  }
+}
+if (opts.folds < 2) {
+  console.error('--folds must be at least 2');
+  process.exit(2);
+}
+
+// ===== Build examples =====
+const dataDir = path.join(__dirname, 'data');
+const files = fs.readdirSync(dataDir).filter(f => f.endsWith('.json')).sort();
+
+console.log('Shot Model Trainer');
+console.log('='.repeat(70));
+
+const examples = [];
+const skipped = [];
+for (const file of files) {
+  const data = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf-8'));
+  const exOpts = { toleranceMs: opts.tolerance, truth: groundTruthFor(file, data, DetectionEval) };
+  if (opts.preset) exOpts.config = opts.preset;
+  const ex = ShotModel.examplesFromSession(data, exOpts);
+  if (!exOpts.truth && !ex.length) {
+    skipped.push(file);
+    console.log(`  ${file.padEnd(40)}    -  skipped (no labels: edit it in the viewer or add it to fixtures.js)`);
+    continue;
+  }
+  const pos = ex.filter(e => e.label === 1).length;
+  console.log(`  ${file.padEnd(40)} ${String(ex.length).padStart(4)} examples  (${pos} shots, ${ex.length - pos} non-shots)`);
+  examples.push(...ex);
+}
+
+const positives = examples.filter(e => e.label === 1).length;
+const negatives = examples.length - positives;
+if (positives === 0 || negatives === 0) {
+  console.error('Need both shot and non-shot examples (edit sessions in the viewer and export them to data/)');
+  process.exit(1);
+}
+// Stratified folds need a shot in each; fewer would leave folds with no positives
+if (positives < opts.folds) {
+  console.error(`Only ${positives} shot examples for ${opts.folds}-fold cross-validation ` +
+    `(label more shots, or pass --folds ${Math.max(2, positives)})`);
+  process.exit(1);
+}
+
+// ===== Cross-validate, then fit on everything =====
+const trainOpts = { epochs: opts.epochs, l2: opts.l2, threshold: opts.threshold };
+const cv = ShotModel.crossValidate(examples, opts.folds, trainOpts);
+const model = ShotModel.train(examples, trainOpts);
+model.cv = { folds: cv.folds, accuracy: cv.accuracy, precision: cv.precision, recall: cv.recall, f1: cv.f1 };
+
+const fmt = (v) => v === null || v === undefined ? '--' : (v * 100).toFixed(1) + '%';
+console.log('='.repeat(70));
+console.log(`Examples: ${examples.length} (${positives} shots, ${negatives} non-shots)` +
+  (skipped.length ? `, ${skipped.length} unlabeled sessions skipped` : ''));
+console.log(`${cv.folds}-fold cross-validation:`);
+console.log(`  accuracy=${fmt(cv.accuracy)}  P=${fmt(cv.precision)}  R=${fmt(cv.recall)}  F1=${fmt(cv.f1)}`);
+console.log(`  TP=${cv.tp} FP=${cv.fp} TN=${cv.tn} FN=${cv.fn}`);
+
+console.log('');
+console.log('Weights (standardized features, by influence):');
+const ranked = model.keys.map((key, f) => ({ key, w: model.weights[f] })).sort((a, b) => Math.abs(b.w) - Math.abs(a.w));
+for (const { key, w } of ranked) {
+  console.log(`  ${key.padEnd(20)} ${w >= 0 ? '+' : ''}${w.toFixed(3)}`);
+}
+console.log(`  ${'bias'.padEnd(20)} ${model.bias >= 0 ? '+' : ''}${model.bias.toFixed(3)}`);
+
+if (opts.out) {
+  fs.writeFileSync(opts.out, JSON.stringify(model, null, 2) + '\n');
+  console.log(`Wrote ${opts.out}`);
+}
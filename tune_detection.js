@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * Shot detector parameter tuner.
+ *
+ * Searches the ShotDetector parameter space against every labeled session in
+ * data/ (same labels as test_detection.js: *_edited.json shots, voice_shot
+ * events, *_walking.json = no shots) and reports the config that scores best.
+ *
+ * Score = F1 over the shot-labeled files − walkPenalty × false positives on
+ * walking files. Walking FPs are penalized separately so a config can't buy
+ * recall by firing on every foot strike.
+ *
+ * Search is coordinate descent: one parameter at a time is swept through its
+ * candidate values in SEARCH_SPACE and the best value kept, repeated until a
+ * full round makes no improvement. --random N first samples N random configs
+ * from the same space and starts the descent from the best of them.
+ *
+ * Usage:  node tune_detection.js [--preset <name>] [--signal aMag|vertical] [--tolerance <ms>]
+ *                                [--walk-penalty <n>] [--rounds <n>]
+ *                                [--random <n>] [--seed <n>] [--out <config.json>]
+ *
+ * The written config can be passed straight to `new ShotDetector(config)` or
+ * copied into DETECTOR_PRESETS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load core.js into current scope (mock localStorage for MotionCalibrator)
+const coreCode = fs.readFileSync(path.join(__dirname, 'js/core.js'), 'utf-8');
+const mockStorage = {};
+const localStorage = {
+  getItem: (k) => mockStorage[k] || null,
+  setItem: (k, v) => { mockStorage[k] = v; },
+  removeItem: (k) => { delete mockStorage[k]; },
+};
+const core = new Function('localStorage', coreCode + '; return { ShotDetector, DetectionEval, DETECTOR_DEFAULTS, EVAL_TOLERANCE_MS };')(localStorage);
+const { ShotDetector, DetectionEval, DETECTOR_DEFAULTS, EVAL_TOLERANCE_MS } = core;
+
+// ===== Search space (candidate values per parameter) =====
+const SEARCH_SPACE = {
+  peakSigma: [1.5, 2.0, 2.5, 3.0, 3.5],
+  dipSigma: [1.0, 1.5, 2.0],
+  recoverySigma: [0.5, 1.0, 1.5],
+  peakToDipSigma: [3.0, 4.0, 5.0, 6.0],
+  minPeakAbs: [12, 14, 16, 18],
+  maxDipAbs: [2, 3, 4, 5, 6],
+  minRiseFromDip: [5, 8, 10, 12],
+  minPeakToDipAbs: [8, 10, 12, 14, 16],
+  dipSearchMs: [425, 595, 765],
+  recoverySearchMs: [340, 510, 680],
+  minShotIntervalMs: [1000, 1200, 1500, 2000, 2500],
+  minShotGapMs: [680, 1020, 1360],
+  maxEffectiveStd: [2.0, 3.0, 4.0],
+  movingStdThreshold: [1.5, 2.0, 2.5, 3.0],
+  movingMinPeakAbs: [20, 25, 30],
+  movingMinRange: [15, 20, 25],
+  movingMinRise: [10, 15, 20],
+  cadenceFilter: [false, true],
+  cadenceMinCorr: [0.2, 0.3, 0.4, 0.5],
+  cadencePhaseTolerance: [0.08, 0.12, 0.16, 0.2],
+};
+
+// ===== Command-line options =====
+const args = process.argv.slice(2);
+function argValue(name, fallback) {
+  const i = args.indexOf(name);
+  return i >= 0 && args[i + 1] !== undefined ? args[i + 1] : fallback;
+}
+const opts = {
+  preset: argValue('--preset', 'default'),
+  signal: argValue('--signal', 'aMag'),
+  tolerance: Number(argValue('--tolerance', EVAL_TOLERANCE_MS)),
+  walkPenalty: Number(argValue('--walk-penalty', 0.05)),
+  rounds: Number(argValue('--rounds', 4)),
+  random: Number(argValue('--random', 0)),
+  seed: Number(argValue('--seed', 1)),
+  out: argValue('--out'),
+};
+for (const key of ['tolerance', 'walkPenalty', 'rounds', 'random', 'seed']) {
+  if (!(opts[key] >= 0)) {
+    console.error(`invalid value for ${key}: ${opts[key]}`);
+    process.exit(2);
+  }
+}
+
+// ===== Load sessions =====
+const dataDir = path.join(__dirname, 'data');
+const sessions = fs.readdirSync(dataDir).filter(f => f.endsWith('.json')).sort().map(file => {
+  const data = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf-8'));
+  const walking = file.endsWith('_walking.json');
+  const truth = walking ? [] : DetectionEval.groundTruth(data);
+  return { file, imu: data.imu, truth, walking };
+});
+const labeled = sessions.filter(s => s.truth);
+const unlabeled = sessions.filter(s => !s.truth);
+
+if (!labeled.some(s => !s.walking)) {
+  console.error('No shot-labeled sessions in data/ (need *_edited.json or voice_shot events)');
+  process.exit(1);
+}
+
+// ===== Scoring =====
+function evaluate(config) {
+  const perFile = labeled.map(s => {
+    const detected = new ShotDetector(config).detectAll(s.imu);
+    return { file: s.file, walking: s.walking, labels: s.truth.length, ...DetectionEval.evaluate(s.truth, detected, opts.tolerance) };
+  });
+  const shotFiles = DetectionEval.combine(perFile.filter(r => !r.walking));
+  const walkFP = perFile.filter(r => r.walking).reduce((a, r) => a + r.fp, 0);
+  const score = (shotFiles.f1 || 0) - opts.walkPenalty * walkFP;
+  return { score, f1: shotFiles.f1, walkFP, shotFiles, perFile };
+}
+
+// Deterministic PRNG (mulberry32) so --random runs are reproducible
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ===== Search =====
+const base = ShotDetector.resolveConfig({ preset: opts.preset, signal: opts.signal });
+const baseline = evaluate(base);
+let evaluations = 1;
+
+let best = { config: base, result: baseline };
+const fmt = (v) => v === null || v === undefined ? '--' : v.toFixed(3);
+
+console.log('Shot Detector Tuner');
+console.log('='.repeat(70));
+console.log(`Labeled files: ${labeled.map(s => s.file).join(', ')}`);
+console.log(`Start: preset=${base.preset} signal=${base.signal}  score=${fmt(baseline.score)}  F1=${fmt(baseline.f1)}  walkFP=${baseline.walkFP}`);
+
+if (opts.random > 0) {
+  const rand = rng(opts.seed);
+  for (let i = 0; i < opts.random; i++) {
+    const config = { ...base };
+    for (const [key, values] of Object.entries(SEARCH_SPACE)) {
+      config[key] = values[Math.floor(rand() * values.length)];
+    }
+    const result = evaluate(config);
+    evaluations++;
+    if (result.score > best.result.score + 1e-9) best = { config, result };
+  }
+  console.log(`Random (${opts.random}): score=${fmt(best.result.score)}  F1=${fmt(best.result.f1)}  walkFP=${best.result.walkFP}`);
+}
+
+for (let round = 1; round <= opts.rounds; round++) {
+  let improved = false;
+  for (const [key, values] of Object.entries(SEARCH_SPACE)) {
+    for (const value of values) {
+      if (value === best.config[key]) continue;
+      const config = { ...best.config, [key]: value };
+      const result = evaluate(config);
+      evaluations++;
+      if (result.score > best.result.score + 1e-9) {
+        best = { config, result };
+        improved = true;
+      }
+    }
+  }
+  console.log(`Round ${round}: score=${fmt(best.result.score)}  F1=${fmt(best.result.f1)}  walkFP=${best.result.walkFP}`);
+  if (!improved) break;
+}
+
+// ===== Report =====
+// Only keys that differ from the starting preset, so the result reads as a diff
+const changes = {};
+for (const key of Object.keys(DETECTOR_DEFAULTS)) {
+  if (best.config[key] !== base[key]) changes[key] = best.config[key];
+}
+
+console.log('='.repeat(70));
+console.log(`Evaluated ${evaluations} configs`);
+console.log('');
+console.log('Changed parameters:');
+if (!Object.keys(changes).length) console.log('  (none — starting config is already best)');
+for (const [key, value] of Object.entries(changes)) {
+  console.log(`  ${key.padEnd(22)} ${String(base[key]).padStart(6)} -> ${value}`);
+}
+
+console.log('');
+console.log('Per-file breakdown (start -> tuned):');
+for (let i = 0; i < labeled.length; i++) {
+  const a = baseline.perFile[i];
+  const b = best.result.perFile[i];
+  console.log(`  ${a.file}${a.walking ? '  (walking)' : `  (${a.labels} labels)`}`);
+  console.log(`     TP ${a.tp} -> ${b.tp}  FP ${a.fp} -> ${b.fp}  FN ${a.fn} -> ${b.fn}  F1 ${fmt(a.f1)} -> ${fmt(b.f1)}`);
+}
+for (const s of unlabeled) {
+  const a = new ShotDetector(base).detectAll(s.imu).length;
+  const b = new ShotDetector(best.config).detectAll(s.imu).length;
+  console.log(`  ${s.file}  (unlabeled)`);
+  console.log(`     detected ${a} -> ${b}`);
+}
+
+console.log('');
+const output = { preset: base.preset, ...changes };
+if (base.signal !== DETECTOR_DEFAULTS.signal) output.signal = base.signal;
+console.log('Best config:');
+console.log(JSON.stringify(output, null, 2));
+
+if (opts.out) {
+  fs.writeFileSync(opts.out, JSON.stringify(output, null, 2) + '\n');
+  console.log(`Wrote ${opts.out}`);
+}